@@ -1,62 +1,104 @@
 #!/usr/bin/env node
 
-const { createClient } = require('@supabase/supabase-js');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
 
-// Configuration
-const S3_BUCKET = process.env.S3_BUCKET || 'scamtify-pageseeker-data';
-const S3_REGION = process.env.S3_REGION || 'ap-southeast-1';
-const RECORDS_PER_FILE = 100;
-
-// Initialize clients
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY,
-  {
-    auth: { persistSession: false },
-    db: { 
-      timeout: 600000, // 10 นาที
-      searchPath: 'api'
-    }
-  }
-);
+const { store } = require('./lib/staging_store');
+const { newWorkflowId, runPrefix, describeFile, writeManifest } = require('./lib/run_manifest');
+const changeCapture = require('./lib/change_capture');
+const {
+  supabase,
+  SOURCE_SCHEMA,
+  SOURCE_TABLE,
+  SYNC_FLAG_COLUMN,
+  CURSOR_COLUMN,
+  RECORD_COLUMNS,
+  cursorOf
+} = require('./lib/supabase_client');
+const { getConfig } = require('./lib/config');
 
-const s3Client = new S3Client({ region: S3_REGION });
+// Configuration
+const RECORDS_PER_FILE = getConfig().download.recordsPerFile;
 
-// Upload to S3
+// Upload to staging (S3 or local dir, see STAGING_BACKEND)
 async function uploadToS3(content, filename) {
-  const command = new PutObjectCommand({
-    Bucket: S3_BUCKET,
-    Key: filename,
-    Body: content,
-    ContentType: 'application/json'
-  });
-  
-  await s3Client.send(command);
-  console.log(`✅ Uploaded to S3: ${filename}`);
+  await store.put(filename, content);
+  console.log(`✅ Uploaded to ${store.name}: ${filename}`);
 }
 
-// Download from Supabase to S3
-async function downloadToS3() {
+// Download from Supabase to S3 (files go under runs/<workflowId>/ with a manifest).
+// With CHANGE_CAPTURE=true, rows edited since the watermark (changed_*.jsonl) and
+// deleted rows (deleted_*.jsonl, tombstones) are staged after the unsynced ones.
+// options.resume = { lastId, files, changeWindow, changedCursor, deletedCursor } continues
+// (lastId = last value of the job's cursor column, null = from the start)
+// a download that was interrupted; options.onFile(progress) is called after every
+// uploaded file (checkpoint); options.shouldStop() ends the download early with the
+// files staged so far; options.dryRun reads Supabase and reports what would be staged
+// without uploading anything
+async function downloadToS3(workflowId = null, options = {}) {
+  const dryRun = Boolean(options.dryRun);
   try {
-    console.log('🚀 Starting download from Supabase to S3...');
+    workflowId = workflowId || newWorkflowId();
+    console.log(`🚀 Starting download from Supabase to S3...${dryRun ? ' [dry run]' : ''}`);
     console.log(`📊 Records per file: ${RECORDS_PER_FILE}`);
+    console.log(`📁 Run prefix: ${runPrefix(workflowId)}`);
+    
+    const resume = options.resume || { lastId: null, files: [] };
+    const manifestFiles = resume.files.slice();
+    const s3Files = manifestFiles.map(file => file.key);
+    let totalRecords = manifestFiles.reduce((sum, file) => sum + file.records, 0);
+    let fileCount = manifestFiles.length;
+    let lastId = resume.lastId === undefined ? null : resume.lastId;
+    let changeWindow = resume.changeWindow || null;
+    let changedCursor = resume.changedCursor || null;
+    let deletedCursor = resume.deletedCursor || null;
     
-    let totalRecords = 0;
-    let fileCount = 0;
-    let lastId = 0;
-    const s3Files = [];
+    if (fileCount > 0) {
+      console.log(`⏩ Resuming after ID ${lastId} (${fileCount} files, ${totalRecords} records already staged)`);
+    }
+    
+    // Upload one JSONL file and checkpoint
+    const stageFile = async (kind, records) => {
+      const jsonlContent = records
+        .map(record => JSON.stringify(record))
+        .join('\n') + '\n';
+      
+      const filename = `${runPrefix(workflowId)}${kind}_${String(fileCount + 1).padStart(4, '0')}.jsonl`;
+      if (dryRun) {
+        console.log(`  would stage: ${filename} (${records.length} records)`);
+      } else {
+        await uploadToS3(jsonlContent, filename);
+      }
+      manifestFiles.push(describeFile(filename, jsonlContent, records, kind));
+      
+      // Track progress
+      totalRecords += records.length;
+      fileCount++;
+      s3Files.push(filename);
+      console.log(`📊 Progress: ${totalRecords} records, ${fileCount} files`);
+      
+      if (options.onFile && !dryRun) {
+        await options.onFile({ lastId, files: manifestFiles.slice(), changeWindow, changedCursor, deletedCursor });
+      }
+    };
     
+    let stoppedEarly = null;
     while (true) {
+      stoppedEarly = options.shouldStop ? options.shouldStop() : null;
+      if (stoppedEarly) {
+        console.log(`⏹️ Stopping download after ${fileCount} files: ${stoppedEarly}`);
+        break;
+      }
+      
       // Fetch batch from Supabase
-      const { data: records, error } = await supabase
-        .schema('api')
-        .from('pageseeker_response_opensearch')
-        .select('id, keyword, ad_id, ad_name, ad_caption, ad_risk_reason, collected_at')
-        .eq('opensearch_sync', false)
-        .order('id', { ascending: true })
-        .gt('id', lastId)
-        .limit(RECORDS_PER_FILE);
+      let query = supabase
+        .schema(SOURCE_SCHEMA)
+        .from(SOURCE_TABLE)
+        .select(RECORD_COLUMNS)
+        .eq(SYNC_FLAG_COLUMN, false)
+        .order(CURSOR_COLUMN, { ascending: true });
+      if (lastId !== null) query = query.gt(CURSOR_COLUMN, lastId);
+      const { data: records, error } = await query.limit(RECORDS_PER_FILE);
       
       if (error) {
         console.error('❌ Error fetching records:', error);
@@ -68,30 +110,64 @@ async function downloadToS3() {
         break;
       }
       
-      // Create JSONL content
-      const jsonlContent = records
-        .map(record => JSON.stringify(record))
-        .join('\n') + '\n';
-      
-      // Upload to S3
-      const filename = `unsynced_${String(fileCount + 1).padStart(4, '0')}.jsonl`;
-      await uploadToS3(jsonlContent, filename);
-      
-      // Track progress
-      totalRecords += records.length;
-      fileCount++;
-      lastId = records[records.length - 1].id;
-      s3Files.push(filename);
-      
-      console.log(`📊 Progress: ${totalRecords} records, ${fileCount} files`);
+      lastId = cursorOf(records[records.length - 1]);
+      await stageFile('unsynced', records);
       console.log(`📁 Last ID processed: ${lastId}`);
     }
     
+    // Change capture: edited rows, then tombstones (deletes go last in the sync)
+    let changeCaptureComplete = false;
+    if (changeCapture.isEnabled() && !stoppedEarly) {
+      changeWindow = changeWindow || await changeCapture.openWindow(supabase, { dryRun });
+      changedCursor = changedCursor || changeCapture.windowStart(changeWindow.changed);
+      deletedCursor = deletedCursor || changeCapture.windowStart(changeWindow.deleted);
+      console.log(`🔁 Change capture: ${changeCapture.UPDATED_AT_COLUMN} [${changeWindow.changed.after}, ${changeWindow.changed.until}], deleted_at [${changeWindow.deleted.after}, ${changeWindow.deleted.until}]`);
+      
+      for (const kind of ['changed', 'deleted']) {
+        while (!stoppedEarly) {
+          stoppedEarly = options.shouldStop ? options.shouldStop() : null;
+          if (stoppedEarly) {
+            console.log(`⏹️ Stopping change capture after ${fileCount} files: ${stoppedEarly}`);
+            break;
+          }
+          
+          const page = kind === 'changed'
+            ? await changeCapture.fetchChanged(supabase, RECORD_COLUMNS, changeWindow.changed, changedCursor, RECORDS_PER_FILE)
+            : await changeCapture.fetchTombstones(supabase, changeWindow.deleted, deletedCursor, RECORDS_PER_FILE);
+          if (page.records.length === 0) break;
+          
+          if (kind === 'changed') changedCursor = page.cursor;
+          else deletedCursor = page.cursor;
+          await stageFile(kind, page.records);
+        }
+      }
+      changeCaptureComplete = !stoppedEarly;
+    }
+    
+    if (dryRun) {
+      console.log(`🔎 Dry run: would stage ${totalRecords} records in ${fileCount} files`);
+      return {
+        success: true,
+        dryRun: true,
+        workflowId,
+        totalRecords,
+        fileCount,
+        files: manifestFiles.map(({ key, kind, records }) => ({ key, kind, records }))
+      };
+    }
+    
+    // Manifest last: its presence means every file above was uploaded
+    const manifest = await writeManifest(workflowId, manifestFiles);
+    console.log(`🧾 Manifest saved: ${manifest.fileCount} files, ${manifest.totalRecords} records`);
+    
     // Save summary to both root and log folder
     const summary = {
+      workflowId,
       totalRecords,
+      stoppedEarly,
+      changeWindow,
       downloadedAt: new Date().toISOString(),
-      s3Bucket: S3_BUCKET,
+      staging: store.location,
       s3Files,
       fileCount,
       recordsPerFile: RECORDS_PER_FILE,
@@ -108,13 +184,17 @@ async function downloadToS3() {
     console.log('🎉 Download completed!');
     console.log(`📊 Total records: ${totalRecords}`);
     console.log(`📊 Files created: ${fileCount}`);
-    console.log(`📁 S3 bucket: ${S3_BUCKET}`);
+    console.log(`📁 Staging: ${store.location}`);
     
     return {
       success: true,
+      workflowId,
+      stoppedEarly,
       totalRecords,
       fileCount,
-      files: s3Files
+      files: s3Files,
+      // Only a fully staged window may move the watermark
+      ...(changeWindow && { changeCapture: { window: changeWindow, complete: changeCaptureComplete } })
     };
     
   } catch (error) {
@@ -123,14 +203,9 @@ async function downloadToS3() {
   }
 }
 
+module.exports = { downloadToS3 };
+
 if (require.main === module) {
-  downloadToS3()
-    .then(result => {
-      console.log('✅ Download completed successfully');
-    })
-    .catch(error => {
-      console.error('❌ Download failed:', error);
-    });
+  // Same as: node cli.js download
+  require('./cli').runCommand(['download', ...process.argv.slice(2)]);
 }
-
-module.exports = { downloadToS3 };
@@ -1,369 +1,667 @@
 #!/usr/bin/env node
 
-const { Client } = require('@opensearch-project/opensearch');
-const { AwsSigv4Signer } = require('@opensearch-project/opensearch/aws');
-const { fromNodeProviderChain } = require('@aws-sdk/credential-providers');
-const { S3Client, ListObjectsV2Command, GetObjectCommand, DeleteObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
+
+const { createOpenSearchClient } = require('./lib/opensearch_client');
+const { WRITE_ALIAS, documentProperties, ensureIndex: ensureIndexAliases } = require('./lib/opensearch_index');
+const { store } = require('./lib/staging_store');
+const { resolveManifest, verifyFile } = require('./lib/run_manifest');
+const { isTombstone } = require('./lib/change_capture');
+const dlq = require('./lib/dlq');
+const quarantine = require('./lib/quarantine');
+const { createRecordValidator, checkStagedFile } = require('./lib/record_validation');
+const embeddings = require('./lib/embeddings');
+const { createTransformChain } = require('./lib/transforms');
+const { sleep, backoffDelay, createCircuitBreaker } = require('./lib/retry');
+const { getConfig } = require('./lib/config');
 
 // Configuration
-const OPENSEARCH_NODE = process.env.OPENSEARCH_NODE;
-const INDEX_NAME = 'pageseeker_response_opensearch_v2';
-const S3_BUCKET = process.env.S3_BUCKET || 'scamtify-pageseeker-data';
-const S3_REGION = process.env.S3_REGION || 'ap-southeast-1';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const INITIAL_BATCH_SIZE = 25;
-const MAX_PAYLOAD_MB = 2;
-const MAX_RETRIES = 5;
-const MAX_TEXT_CHARS = 6000; // stay safely under 8192 token limit
+const EMBED_BATCH_SIZE = 64; // records embedded per group before bulk packing
+const MAX_BULK_DOCS = getConfig().sync.maxBulkDocs;
+const MAX_PAYLOAD_MB = getConfig().sync.maxPayloadMb; // measured after embeddings are attached
+const MAX_BULK_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const CHECKPOINT_FILES = getConfig().sync.checkpointFiles; // files per sync log / checkpoint
 
 // Initialize clients
-const signer = new AwsSigv4Signer({
-  getCredentials: fromNodeProviderChain(),
-  region: S3_REGION,
-  service: 'es'
-});
+const osClient = createOpenSearchClient();
 
-const osClient = new Client({
-  ...signer,
-  node: OPENSEARCH_NODE,
-  ssl: { rejectUnauthorized: false }
-});
+// Shared across all files in a run: consistent rejections pause, then abort the run
+const bulkBreaker = createCircuitBreaker({ name: 'OpenSearch bulk' });
 
-const s3Client = new S3Client({ region: S3_REGION });
+// SYNC_TRANSFORMS / the job's transforms, applied before embedding
+const transformChain = createTransformChain(getConfig().job);
 
-// Embedding: generate for a single text via OpenAI
-async function getEmbedding(text, retryCount = 0) {
-  try {
-    const resp = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({ model: 'text-embedding-3-small', input: text })
+// Staged records are checked against the index mapping before anything is sent
+const validateRecord = createRecordValidator(documentProperties());
+
+// Ensure read/write aliases exist (resolved once per run)
+let indexInfoPromise = null;
+function ensureIndex() {
+  if (!indexInfoPromise) {
+    indexInfoPromise = ensureIndexAliases(osClient).catch(error => {
+      indexInfoPromise = null;
+      console.error('❌ Error ensuring index aliases:', error.message);
+      throw error;
     });
-    const data = await resp.json();
-    if (!data.data || !data.data[0]) {
-      throw new Error('OpenAI API error: ' + JSON.stringify(data));
-    }
-    return data.data[0].embedding;
-  } catch (error) {
-    if (retryCount < MAX_RETRIES) {
-      console.log(`   ⚠️ Embedding retry ${retryCount + 1}/${MAX_RETRIES}: ${error.message}`);
-      await new Promise(r => setTimeout(r, 2000 * (retryCount + 1)));
-      return getEmbedding(text, retryCount + 1);
-    }
-    throw error;
   }
+  return indexInfoPromise;
 }
 
-// Build embedding text — truncate ad_caption if total exceeds token limit
-function buildEmbeddingText(record) {
-  const adName = record.ad_name || '';
-  const adCaption = record.ad_caption || '';
-  const otherLen = adName.length + 1; // +1 for space
-  const captionBudget = Math.max(0, MAX_TEXT_CHARS - otherLen);
-  const trimmedCaption = adCaption.length > captionBudget
-    ? adCaption.substring(0, captionBudget)
-    : adCaption;
-  const parts = [adName, trimmedCaption].filter(Boolean);
-  return parts.join(' ') || 'empty';
+// Bulk item statuses worth retrying; anything else 4xx (mapping errors etc.) is permanent
+function isRetryableItem(status, type) {
+  return RETRYABLE_STATUSES.includes(status)
+    || type === 'es_rejected_execution_exception'
+    || type === 'opensearch_rejected_execution_exception';
 }
 
-// Ensure index exists
-async function ensureIndex() {
-  try {
-    const exists = await osClient.indices.exists({ index: INDEX_NAME });
-    if (!exists.body) {
-      await osClient.indices.create({
-        index: INDEX_NAME,
-        body: {
-          settings: {
-            'index.knn': true,
-            number_of_shards: 1,
-            number_of_replicas: 0,
-            refresh_interval: '30s',
-            analysis: {
-              analyzer: {
-                thai_analyzer: {
-                  type: 'custom',
-                  tokenizer: 'icu_tokenizer',
-                  filter: ['lowercase']
-                }
-              }
-            }
-          },
-          mappings: {
-            properties: {
-              id: { type: 'keyword' },
-              keyword: { type: 'keyword' },
-              ad_id: { type: 'keyword' },
-              ad_name: { type: 'text', analyzer: 'thai_analyzer' },
-              ad_caption: { type: 'text', analyzer: 'thai_analyzer' },
-              ad_risk_reason: { type: 'text', analyzer: 'thai_analyzer' },
-              collected_at: { type: 'date' },
-              created_at: { type: 'date' },
-              embedding: {
-                type: 'knn_vector',
-                dimension: 1536,
-                method: {
-                  name: 'hnsw',
-                  space_type: 'cosinesimil',
-                  engine: 'faiss'
-                }
-              }
-            }
-          }
-        }
-      });
-      console.log('✅ Index created successfully');
+// Split a bulk response into per-entry outcomes (items[i] belongs to entries[i]).
+// Successes and permanent failures go straight into outcome; retryable ones are returned.
+// A delete that finds nothing (404) already has the state we want and counts as done.
+function collectOutcomes(entries, body, outcome) {
+  const items = body.items || [];
+  const retryable = [];
+  let permanentCount = 0;
+  
+  entries.forEach((entry, i) => {
+    const item = items[i];
+    const action = item && (item.index || item.create || item.update || item.delete);
+    const isDelete = Boolean(entry.action.delete);
+    if (action && ((action.status >= 200 && action.status < 300) || (isDelete && action.status === 404))) {
+      (isDelete ? outcome.deleted : outcome.succeeded).push(entry.record.id);
+      return;
     }
-  } catch (error) {
-    console.error('❌ Error creating index:', error.message);
+    const failure = {
+      id: entry.record.id,
+      status: action ? action.status : null,
+      type: action && action.error ? action.error.type : 'missing_item',
+      reason: action && action.error ? action.error.reason : 'No bulk item returned for record',
+      step: isDelete ? 'delete' : 'index'
+    };
+    if (!action || isRetryableItem(failure.status, failure.type)) {
+      retryable.push({ entry, failure });
+    } else {
+      permanentCount++;
+      outcome.failed.push(failure);
+    }
+  });
+  
+  if (retryable.length > 0 || permanentCount > 0) {
+    console.error(`⚠️ Batch partial: ${entries.length - retryable.length - permanentCount} ok, ${retryable.length} retryable, ${permanentCount} failed`);
   }
+  return retryable;
 }
 
-// Dynamic micro-batch with payload control
-async function dynamicMicroBatch(records, filename) {
-  let finalBatchSize = 1;
-  let maxTestSize = Math.min(INITIAL_BATCH_SIZE, records.length);
+// Attach embeddings to a group of records and pre-compute each bulk entry's serialized size
+async function enrichRecords(records, outcome, index) {
+  const vectors = embeddings.isEnabled()
+    ? await embeddings.embedRecords(records)
+    : [];
   
-  // Find optimal batch size
-  for (let testSize = 1; testSize <= maxTestSize; testSize++) {
-    const testBatch = records.slice(0, testSize);
-    const testBody = testBatch.flatMap(record => [
-      { index: { _index: INDEX_NAME, _id: record.id.toString() } },
-      record
-    ]);
-    
-    const payloadSize = Buffer.byteLength(JSON.stringify(testBody), 'utf8');
-    const payloadSizeMB = payloadSize / (1024 * 1024);
-    
-    if (payloadSizeMB <= MAX_PAYLOAD_MB) {
-      finalBatchSize = testSize;
-    } else {
-      break;
+  return records.map((record, j) => {
+    const result = vectors[j];
+    if (result && result.error) {
+      console.error(`⚠️ Embedding failed for record ${record.id}: ${result.error.message}`);
+      outcome.embeddingFailed.push({ id: record.id, status: null, type: 'embedding_error', reason: result.error.message, step: 'embedding' });
     }
-  }
-  
-  console.log(`📦 Using batch size: ${finalBatchSize} records`);
+    
+    const action = { index: { _index: index, _id: record.id.toString() } };
+    let doc = record;
+    if (result && result.usage) {
+      outcome.embeddingUsage[record.id] = result.usage.tokens;
+    }
+    if (result && result.embedding) {
+      const { error, usage, ...vectorFields } = result;
+      doc = { ...record, ...vectorFields };
+    }
+    
+    // NDJSON: action line + document line, each newline-terminated
+    const bytes = Buffer.byteLength(JSON.stringify(action), 'utf8')
+      + Buffer.byteLength(JSON.stringify(doc), 'utf8') + 2;
+    return { record, action, doc, bytes };
+  });
+}
+
+// Send one bulk request with retries:
+//   - 413 splits the entries in half and sends each half
+//   - a thrown 429/5xx/connection error retries the whole request with backoff
+//   - retryable items inside a response (429, 503, rejected execution) are retried alone
+//   - permanent 4xx go straight to outcome.failed
+// Every rejection feeds the circuit breaker, which pauses or aborts the run.
+async function sendBulk(entries, outcome) {
+  let pending = entries;
+  let lastFailures = [];
   
-  // Process in batches
-  let syncedCount = 0;
-  for (let i = 0; i < records.length; i += finalBatchSize) {
-    const batch = records.slice(i, i + finalBatchSize);
-    
-    // Generate embeddings for each record
-    const bulkBody = [];
-    for (const record of batch) {
-      let embedding = null;
-      if (OPENAI_API_KEY) {
-        try {
-          const text = buildEmbeddingText(record);
-          embedding = await getEmbedding(text);
-        } catch (err) {
-          console.error(`⚠️ Embedding failed for record ${record.id}: ${err.message}`);
-        }
-      }
-      bulkBody.push({ index: { _index: INDEX_NAME, _id: record.id.toString() } });
-      if (embedding) {
-        bulkBody.push({ ...record, embedding });
-      } else {
-        bulkBody.push(record);
-      }
+  for (let attempt = 0; attempt <= MAX_BULK_RETRIES && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      const delay = backoffDelay(attempt, RETRY_BASE_MS, RETRY_MAX_MS);
+      console.log(`🔁 Retrying ${pending.length} docs (attempt ${attempt}/${MAX_BULK_RETRIES}) in ${delay}ms`);
+      await sleep(delay);
     }
+    await bulkBreaker.beforeRequest();
     
+    // Delete actions have no document line
+    const bulkBody = pending.flatMap(entry => entry.doc ? [entry.action, entry.doc] : [entry.action]);
+    let response;
     try {
-      const response = await osClient.bulk({ body: bulkBody });
+      response = await osClient.bulk({ body: bulkBody });
+    } catch (error) {
+      if (isPayloadTooLarge(error)) {
+        await splitAndSend(pending, outcome, error);
+        return;
+      }
       
-      if (response.body.errors) {
-        // Count individual successes even when some items fail
-        const items = response.body.items || [];
-        const successItems = items.filter(item => {
-          const action = item.index || item.create || item.update;
-          return action && action.status >= 200 && action.status < 300;
-        });
-        syncedCount += successItems.length;
-        const failedCount = items.length - successItems.length;
-        if (failedCount > 0) {
-          console.error(`⚠️ Batch partial: ${successItems.length} ok, ${failedCount} failed`);
-        }
-      } else {
-        syncedCount += batch.length;
+      const status = error.meta ? error.meta.statusCode : null;
+      console.error(`❌ Batch error${status ? ` (${status})` : ''}:`, error.message);
+      lastFailures = pending.map(entry => ({
+        entry,
+        failure: { id: entry.record.id, status, type: 'request_error', reason: error.message, step: entry.action.delete ? 'delete' : 'index' }
+      }));
+      
+      if (status && status < 500 && status !== 429) {
+        break; // permanent: retrying the same body cannot help
       }
-    } catch (error) {
-      console.error(`❌ Batch error:`, error.message);
-      // Retry once
-      try {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        const retryResponse = await osClient.bulk({ body: bulkBody });
-        if (!retryResponse.body.errors) {
-          syncedCount += batch.length;
-          console.log(`✅ Retry succeeded for ${batch.length} records`);
-        } else {
-          const items = retryResponse.body.items || [];
-          const successItems = items.filter(item => {
-            const action = item.index || item.create || item.update;
-            return action && action.status >= 200 && action.status < 300;
-          });
-          syncedCount += successItems.length;
+      bulkBreaker.recordFailure();
+      continue;
+    }
+    
+    lastFailures = collectOutcomes(pending, response.body, outcome);
+    
+    // Mostly-rejected responses mean the cluster is pushing back
+    if (lastFailures.length > pending.length / 2) {
+      bulkBreaker.recordFailure();
+    } else {
+      bulkBreaker.recordSuccess();
+    }
+    pending = lastFailures.map(item => item.entry);
+  }
+  
+  for (const { failure } of lastFailures) {
+    outcome.failed.push(failure);
+  }
+}
+
+async function splitAndSend(entries, outcome, error) {
+  if (entries.length === 1) {
+    console.error(`❌ Record ${entries[0].record.id} alone exceeds the bulk size limit`);
+    outcome.failed.push({ id: entries[0].record.id, status: 413, type: 'request_too_large', reason: error.message, step: 'index' });
+    return;
+  }
+  const half = Math.ceil(entries.length / 2);
+  console.log(`⚠️ 413 for ${entries.length} docs — splitting into ${half} + ${entries.length - half}`);
+  await sendBulk(entries.slice(0, half), outcome);
+  await sendBulk(entries.slice(half), outcome);
+}
+
+function isPayloadTooLarge(error) {
+  return Boolean(error.meta && error.meta.statusCode === 413);
+}
+
+// Bulk delete entry for a tombstone (no embedding, no document line)
+function deleteEntry(record, index) {
+  const action = { delete: { _index: index, _id: record.id.toString() } };
+  return { record, action, doc: null, bytes: Buffer.byteLength(JSON.stringify(action), 'utf8') + 1 };
+}
+
+// Streaming micro-batch: embed records in groups, then flush bulk requests by the
+// real serialized size (vectors included) or MAX_BULK_DOCS, whichever comes first
+// Returns { succeeded: [id], deleted: [id], failed: [{ id, status, type, reason, step }], embeddingFailed: [...] }
+// Records whose embedding fails are still indexed (without a vector) and reported in embeddingFailed.
+// Tombstones (change capture) are sent as deletes after the indexed records.
+async function dynamicMicroBatch(records, index) {
+  const maxBytes = MAX_PAYLOAD_MB * 1024 * 1024;
+  const outcome = { succeeded: [], deleted: [], failed: [], embeddingFailed: [], embeddingUsage: {} };
+  const live = records.filter(record => !isTombstone(record));
+  const groups = [];
+  for (let i = 0; i < live.length; i += EMBED_BATCH_SIZE) {
+    groups.push(() => enrichRecords(live.slice(i, i + EMBED_BATCH_SIZE), outcome, index));
+  }
+  const tombstones = records.filter(isTombstone);
+  if (tombstones.length > 0) {
+    groups.push(async () => tombstones.map(record => deleteEntry(record, index)));
+  }
+  let pending = [];
+  let pendingBytes = 0;
+  let requests = 0;
+  
+  try {
+    for (const group of groups) {
+      const entries = await group();
+      
+      for (const entry of entries) {
+        if (pending.length > 0 && (pendingBytes + entry.bytes > maxBytes || pending.length >= MAX_BULK_DOCS)) {
+          await sendBulk(pending, outcome);
+          requests++;
+          pending = [];
+          pendingBytes = 0;
         }
-      } catch (retryError) {
-        console.error(`❌ Retry also failed:`, retryError.message);
+        pending.push(entry);
+        pendingBytes += entry.bytes;
       }
     }
+    
+    if (pending.length > 0) {
+      await sendBulk(pending, outcome);
+      requests++;
+    }
+  } catch (error) {
+    // Circuit breaker gave up: what OpenSearch confirmed before that still counts
+    error.outcome = outcome;
+    throw error;
   }
   
-  return syncedCount;
+  console.log(`📦 Sent ${records.length} records in ${requests} bulk request(s) (≤ ${MAX_PAYLOAD_MB} MB / ${MAX_BULK_DOCS} docs each)`);
+  return outcome;
 }
 
-// Sync single file
-async function syncFile(filename) {
+// Transform + embed + bulk index a list of records (shared by syncFile, 08_replay_dlq.js,
+// 09_backfill.js and 10_resync.js). Only IDs OpenSearch confirmed go into syncedIds
+// (deletedIds for tombstones); dlqEntries carry the original, untransformed record.
+// options.index targets another index than the write alias (a backfill into a new
+// version before the alias swap)
+async function syncRecords(records, options = {}) {
+  console.log(`📊 Processing ${records.length} records`);
+  
+  await ensureIndex();
+  const prepared = transformChain.applyAll(records.filter(record => !isTombstone(record)))
+    .concat(records.filter(isTombstone));
+  const byId = new Map(records.map(record => [record.id, record]));
+  const resultOf = outcome => ({
+    syncedRecords: outcome.succeeded.length,
+    syncedIds: outcome.succeeded,
+    deletedIds: outcome.deleted,
+    failed: outcome.failed,
+    embeddingUsage: outcome.embeddingUsage,
+    dlqEntries: outcome.failed.concat(outcome.embeddingFailed)
+      .map(item => ({ ...item, record: byId.get(item.id), index: options.index || null }))
+  });
+  
+  let outcome;
   try {
-    console.log(`📁 Syncing file: ${filename}`);
-    
-    // Read from S3
-    const getCommand = new GetObjectCommand({
-      Bucket: S3_BUCKET,
-      Key: filename
-    });
-    
-    const response = await s3Client.send(getCommand);
-    const fileContent = await response.Body.transformToString();
-    
-    // Parse JSONL
-    const lines = fileContent.trim().split('\n');
-    const records = lines.map(line => JSON.parse(line));
+    outcome = await dynamicMicroBatch(prepared, options.index || WRITE_ALIAS);
+  } catch (error) {
+    // error.partial: the records handled before the circuit breaker stopped the batch
+    if (error.outcome) error.partial = resultOf(error.outcome);
+    throw error;
+  }
+  
+  console.log(`✅ Synced ${outcome.succeeded.length + outcome.deleted.length}/${records.length} records`);
+  if (outcome.deleted.length > 0) {
+    console.log(`🗑️ Deleted ${outcome.deleted.length} documents (source rows deleted)`);
+  }
+  
+  return resultOf(outcome);
+}
+
+// Write the per-ID sync log that 03_test.js and 04_mark_synced.js read
+// (deletedIds: tombstones applied — never marked, never expected in the index)
+async function writeSyncLog(workflowId, indexInfo, syncedIds, failedItems, deletedIds = []) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const wfPrefix = workflowId ? `${workflowId}_` : '';
+  const syncLogPath = `log/sync_log_ids_${wfPrefix}${timestamp}.json`;
+  const syncLogContent = {
+    timestamp: new Date().toISOString(),
+    workflowId: workflowId || null,
+    index: indexInfo.writeAlias,
+    physicalIndex: indexInfo.index,
+    totalIds: syncedIds.length,
+    syncedIds,
+    totalDeleted: deletedIds.length,
+    deletedIds,
+    totalFailed: failedItems.length,
+    failed: failedItems
+  };
+  
+  await store.put(syncLogPath, JSON.stringify(syncLogContent, null, 2));
+  console.log(`📝 Sync IDs log saved to log folder: ${syncLogPath}`);
+  return syncLogPath;
+}
+
+// Does the manifest entry's ID range cover any of the requested IDs?
+// (no range = empty file, or non-numeric keys that have to be read to tell)
+function coversAnyId(entry, ids) {
+  if (entry.firstId === null) return entry.records > 0;
+  for (const id of ids) {
+    if (Number(id) >= entry.firstId && Number(id) <= entry.lastId) return true;
+  }
+  return false;
+}
+
+// Parse and validate a staged file; options.ids keeps only those records (lines that
+// cannot be tied to a requested ID are not quarantined by a targeted re-sync)
+function readStagedRecords(content, ids = null) {
+  let { records, quarantined, coercedIds } = checkStagedFile(content, validateRecord);
+  if (ids) {
+    records = records.filter(record => ids.has(String(record.id)));
+    quarantined = quarantined.filter(item => item.id !== null && ids.has(String(item.id)));
+    coercedIds = coercedIds.filter(id => ids.has(String(id)));
+  }
+  return {
+    records,
+    quarantined,
+    validation: { valid: records.length, quarantined: quarantined.length, coerced: coercedIds.length }
+  };
+}
+
+function emptyFileResult(validation = { valid: 0, quarantined: 0, coerced: 0 }) {
+  return { success: true, syncedRecords: 0, syncedIds: [], deletedIds: [], failed: [], dlqEntries: [], validation };
+}
+
+// Sync single manifest file (options.ids limits the sync to those record IDs).
+// Lines that fail parsing or validation go to the quarantine (options.workflowId),
+// the rest of the file still syncs
+async function syncFile(entry, options = {}) {
+  const filename = entry.key;
+  let validation = { valid: 0, quarantined: 0, coerced: 0 };
+  try {
+    if (options.ids && !coversAnyId(entry, options.ids)) {
+      return emptyFileResult();
+    }
     
-    console.log(`📊 Processing ${records.length} records`);
+    console.log(`📁 Syncing file: ${filename}`);
     
-    // Sync to OpenSearch
-    await ensureIndex();
-    const syncedCount = await dynamicMicroBatch(records, filename);
+    // Read from staging and check it is exactly what 01_download.js wrote
+    const fileContent = await store.get(filename);
+    if (fileContent === null) {
+      throw new Error(`Staged file not found: ${filename}`);
+    }
+    verifyFile(entry, fileContent);
     
-    console.log(`✅ Synced ${syncedCount}/${records.length} records`);
+    // Parse JSONL line by line and check each record against the mapping
+    const staged = readStagedRecords(fileContent, options.ids);
+    const { records, quarantined } = staged;
+    validation = staged.validation;
+    if (quarantined.length > 0) {
+      quarantined.forEach(item => console.error(`🚧 ${filename}:${item.line}${item.id !== null ? ` (id ${item.id})` : ''}: ${item.reason}`));
+      await quarantine.putFile(options.workflowId, filename, quarantined);
+    }
+    if (validation.coerced > 0) {
+      console.log(`🔧 ${validation.coerced} records coerced to the mapping in ${filename}`);
+    }
+    if (records.length === 0) {
+      return emptyFileResult(validation);
+    }
     
-    // เก็บ IDs ที่ sync ไป
-    const syncedIds = records.map(record => record.id);
+    const result = await syncRecords(records);
     
-    // Delete file from S3 only if all records synced successfully
-    if (syncedCount >= records.length) {
-      const deleteCommand = new DeleteObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: filename
-      });
-      await s3Client.send(deleteCommand);
-      console.log(`🗑️ Deleted file: ${filename}`);
-    } else {
-      console.log(`⚠️ Keeping file ${filename} (${records.length - syncedCount} records not synced)`);
+    // Staged file is kept until 05_clean_s3.js so 03_test.js can compare fields
+    if (result.failed.length > 0) {
+      console.log(`⚠️ ${result.failed.length} records not synced in ${filename}`);
     }
     
-    return {
-      success: true,
-      syncedRecords: syncedCount,
-      syncedIds: syncedIds
-    };
+    return { success: true, ...result, validation };
     
   } catch (error) {
     console.error(`❌ Failed to sync file ${filename}:`, error);
+    // Circuit opened mid-file: keep what was indexed before, so it is logged and marked
+    const partial = error.partial || emptyFileResult(validation);
     return {
+      ...partial,
       success: false,
       error: error.message,
-      syncedRecords: 0,
-      syncedIds: []
+      circuitOpen: error.code === 'CIRCUIT_OPEN',
+      checksumMismatch: error.code === 'CHECKSUM_MISMATCH',
+      validation
     };
   }
 }
 
-// Sync all files
-async function syncAll(workflowId = null) {
+// Dry run of syncAll: read and checksum every staged file, count what would be indexed
+// or deleted. Never touches OpenSearch (not even the aliases), the sync logs or the DLQ.
+async function previewSync(manifest, idFilter) {
+  let wouldIndex = 0;
+  let wouldDelete = 0;
+  let wouldQuarantine = 0;
+  const rejectedFiles = [];
+  
+  for (const file of manifest.files) {
+    if (idFilter && !coversAnyId(file, idFilter)) continue;
+    const content = await store.get(file.key);
+    try {
+      if (content === null) throw new Error(`Staged file not found: ${file.key}`);
+      verifyFile(file, content);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      rejectedFiles.push(file.key);
+      continue;
+    }
+    
+    const { records, quarantined } = readStagedRecords(content, idFilter);
+    const tombstones = records.filter(isTombstone).length;
+    wouldIndex += records.length - tombstones;
+    wouldDelete += tombstones;
+    wouldQuarantine += quarantined.length;
+    console.log(`  would sync: ${file.key} (${records.length - tombstones} index, ${tombstones} delete${quarantined.length > 0 ? `, ${quarantined.length} quarantine` : ''})`);
+  }
+  
+  console.log(`🔎 Dry run: would index ${wouldIndex} and delete ${wouldDelete} documents from ${manifest.files.length} files`);
+  if (wouldQuarantine > 0) {
+    console.log(`🚧 ${wouldQuarantine} staged lines would be quarantined`);
+  }
+  return {
+    success: rejectedFiles.length === 0,
+    ...(rejectedFiles.length > 0 && { error: 'Staged files do not match the manifest' }),
+    dryRun: true,
+    workflowId: manifest.workflowId,
+    totalFiles: manifest.files.length,
+    wouldIndex,
+    wouldDelete,
+    wouldQuarantine,
+    rejectedFiles
+  };
+}
+
+// Sync every file in the run's manifest (latest run when workflowId is null).
+// options.ids re-syncs only those IDs, e.g. from testSync().resyncIds
+// options.skipFiles skips files finished by an interrupted attempt of the same run;
+// options.onCheckpoint({ filesDone }) fires each time sync log + DLQ are flushed;
+// options.shouldStop() stops before the next file (what is done so far is still flushed);
+// options.dryRun only reads and verifies the staged files (see previewSync);
+// options.countAttempt = false keeps DLQ attempt counts (verify re-syncs, see dlq.putEntries)
+async function syncAll(workflowId = null, options = {}) {
   try {
-    console.log('🚀 Starting sync from S3 to OpenSearch...');
-    
-    // Get all files (paginated - S3 returns max 1000 per request)
-    let files = [];
-    let continuationToken = undefined;
-    
-    do {
-      const listCommand = new ListObjectsV2Command({
-        Bucket: S3_BUCKET,
-        Prefix: 'unsynced_',
-        ContinuationToken: continuationToken
-      });
-      
-      const response = await s3Client.send(listCommand);
-      if (response.Contents) {
-        files = files.concat(response.Contents);
-      }
-      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
-    } while (continuationToken);
+    console.log(`🚀 Starting sync from ${store.name} to OpenSearch...`);
+    
+    const manifest = await resolveManifest(workflowId);
+    if (!manifest) {
+      const error = workflowId ? `No manifest for workflow ${workflowId}` : 'No run manifest found';
+      console.error(`❌ ${error} — run 01_download.js first`);
+      return { success: false, error, syncedFiles: 0, totalFiles: 0, totalRecords: 0 };
+    }
+    workflowId = manifest.workflowId;
+    console.log(`🧾 Manifest for workflow ${workflowId}: ${manifest.fileCount} files, ${manifest.totalRecords} records`);
+    
+    const idFilter = options.ids ? new Set(options.ids.map(String)) : null;
+    if (idFilter) {
+      console.log(`🎯 Targeted re-sync of ${idFilter.size} IDs`);
+    }
+    
+    if (options.dryRun) {
+      return previewSync(manifest, idFilter);
+    }
+    
+    // Resolve aliases up front so test/mark always see the index we write to
+    const indexInfo = await ensureIndex();
+    console.log(`🔗 Writing to ${indexInfo.writeAlias} (${indexInfo.index})`);
+    
+    // Exactly the files this run staged, in manifest order
+    const files = manifest.files;
     
     if (files.length === 0) {
       console.log('✅ No files to sync');
-      return { success: true, syncedFiles: 0, totalRecords: 0 };
+      return { success: true, workflowId, syncedFiles: 0, totalRecords: 0 };
     }
     
-    // Sort files
-    files.sort((a, b) => a.Key.localeCompare(b.Key));
-    
     console.log(`📊 Found ${files.length} files to sync`);
     
     let totalSynced = 0;
     let successCount = 0;
     let allSyncedIds = new Set(); // เก็บ IDs ทั้งหมดที่ sync ไป
+    const allDeletedIds = new Set(); // tombstones ที่ลบออกจาก index แล้ว
+    const dlqById = new Map(); // IDs ที่ embed/index ไม่ผ่าน พร้อมเหตุผล + record
+    const embeddingUsage = {}; // token ต่อ record
+    const rejectedFiles = []; // checksum ไม่ตรงกับ manifest
+    const validation = { valid: 0, quarantined: 0, coerced: 0 }; // ผล validate record ที่ stage ไว้
+    let circuitOpen = false;
+    
+    // Flushed every CHECKPOINT_FILES files so an interrupted run keeps what it already synced
+    const skipFiles = new Set(options.skipFiles || []);
+    const filesDone = files.filter(file => skipFiles.has(file.key)).map(file => file.key);
+    const pendingSyncedIds = new Set();
+    const pendingDeletedIds = new Set();
+    const pendingDlq = new Map();
+    let pendingFiles = 0;
+    
+    const checkpoint = async () => {
+      const dlqEntries = Array.from(pendingDlq.values());
+      const failedItems = dlqEntries
+        .filter(entry => entry.step !== 'embedding')
+        .map(({ record, ...item }) => item);
+      
+      // Failures go to the DLQ (kept under log/, survives 05_clean_s3.js)
+      const cleanIds = Array.from(pendingSyncedIds).concat(Array.from(pendingDeletedIds))
+        .filter(id => !pendingDlq.has(id));
+      await dlq.resolveEntries(workflowId, cleanIds);
+      await dlq.putEntries(workflowId, dlqEntries, { countAttempt: options.countAttempt });
+      
+      // เขียน sync IDs log ลง folder log
+      if (pendingSyncedIds.size > 0 || pendingDeletedIds.size > 0 || failedItems.length > 0) {
+        await writeSyncLog(workflowId, indexInfo, Array.from(pendingSyncedIds), failedItems, Array.from(pendingDeletedIds));
+      }
+      
+      pendingSyncedIds.clear();
+      pendingDeletedIds.clear();
+      pendingDlq.clear();
+      pendingFiles = 0;
+      if (options.onCheckpoint) {
+        await options.onCheckpoint({ filesDone: filesDone.slice() });
+      }
+    };
     
+    if (filesDone.length > 0) {
+      console.log(`⏩ Resuming: ${filesDone.length} files already synced`);
+    }
+    
+    let stoppedEarly = null;
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
-      const result = await syncFile(file.Key);
+      if (skipFiles.has(file.key)) continue;
       
-      if (result.success) {
+      stoppedEarly = options.shouldStop ? options.shouldStop() : null;
+      if (stoppedEarly) {
+        console.log(`⏹️ Stopping sync with ${files.length - i} files left: ${stoppedEarly}`);
+        break;
+      }
+      
+      const result = await syncFile(file, { ids: idFilter, workflowId });
+      if (result.checksumMismatch) {
+        rejectedFiles.push(file.key);
+      }
+      
+      // A file cut short by the circuit breaker still reports what OpenSearch confirmed;
+      // it is not done, so the next run syncs it again
+      if (result.success || result.circuitOpen) {
         totalSynced += result.syncedRecords;
-        successCount++;
         // เก็บ IDs ที่ sync ไป
         if (result.syncedIds) {
           result.syncedIds.forEach(id => allSyncedIds.add(id));
         }
+        result.deletedIds.forEach(id => allDeletedIds.add(id));
+        // A later clean success in the same run supersedes an earlier failure
+        const stillFailing = new Set(result.dlqEntries.map(entry => entry.id));
+        result.syncedIds.concat(result.deletedIds).forEach(id => {
+          if (!stillFailing.has(id)) dlqById.delete(id);
+        });
+        result.dlqEntries.forEach(entry => dlqById.set(entry.id, { ...entry, file: file.key }));
+        Object.assign(embeddingUsage, result.embeddingUsage);
+        
+        result.syncedIds.forEach(id => {
+          pendingSyncedIds.add(id);
+          if (!stillFailing.has(id)) pendingDlq.delete(id);
+        });
+        result.deletedIds.forEach(id => {
+          pendingDeletedIds.add(id);
+          if (!stillFailing.has(id)) pendingDlq.delete(id);
+        });
+        result.dlqEntries.forEach(entry => pendingDlq.set(entry.id, { ...entry, file: file.key }));
+      }
+      if (result.success) {
+        successCount++;
+        Object.keys(validation).forEach(key => { validation[key] += result.validation[key]; });
+        filesDone.push(file.key);
       }
       
       const progress = ((i + 1) / files.length * 100).toFixed(1);
       console.log(`📊 Progress: ${progress}% (${successCount}/${files.length} files)`);
-    }
-    
-    // เขียน sync IDs log ลง folder log
-    if (allSyncedIds.size > 0) {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const wfPrefix = workflowId ? `${workflowId}_` : '';
-      const syncLogPath = `log/sync_log_ids_${wfPrefix}${timestamp}.json`;
-      const syncLogContent = {
-        timestamp: new Date().toISOString(),
-        workflowId: workflowId || null,
-        totalIds: allSyncedIds.size,
-        syncedIds: Array.from(allSyncedIds)
-      };
       
-      const putCommand = new PutObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: syncLogPath,
-        Body: JSON.stringify(syncLogContent, null, 2),
-        ContentType: 'application/json'
-      });
+      // Cluster keeps rejecting writes — stop rather than half-sync every remaining file
+      if (result.circuitOpen) {
+        console.error(`🚨 Stopping sync: ${files.length - i - 1} files left untouched for the next run`);
+        circuitOpen = true;
+        break;
+      }
       
-      await s3Client.send(putCommand);
-      console.log(`📝 Sync IDs log saved to log folder: ${syncLogPath}`);
+      if (++pendingFiles >= CHECKPOINT_FILES) {
+        await checkpoint();
+      }
+    }
+    
+    await checkpoint();
+    
+    const dlqEntries = Array.from(dlqById.values());
+    const failedItems = dlqEntries
+      .filter(entry => entry.step !== 'embedding')
+      .map(({ record, ...item }) => item);
+    
+    if (allSyncedIds.size > 0 || allDeletedIds.size > 0 || failedItems.length > 0) {
       console.log(`📊 Total synced IDs: ${allSyncedIds.size}`);
+      if (allDeletedIds.size > 0) {
+        console.log(`🗑️ Total deleted IDs: ${allDeletedIds.size}`);
+      }
+      if (failedItems.length > 0) {
+        console.log(`⚠️ Total failed IDs: ${failedItems.length}`);
+      }
     }
     
     console.log('🎉 Sync completed!');
     console.log(`📊 Total files: ${files.length}`);
     console.log(`✅ Successful: ${successCount}`);
     console.log(`📊 Total records synced: ${totalSynced}`);
+    console.log(`🧪 Staged records: ${validation.valid} valid, ${validation.quarantined} quarantined, ${validation.coerced} coerced`);
+    const transformStats = transformChain.getStats();
+    const transformErrors = Object.entries(transformStats.errors);
+    if (transformErrors.length > 0) {
+      console.log(`⚠️ Transform errors: ${transformErrors.map(([name, count]) => `${name} ${count}`).join(', ')} (records indexed without them)`);
+    }
+    if (rejectedFiles.length > 0) {
+      console.error(`🚨 ${rejectedFiles.length} files rejected (checksum mismatch): ${rejectedFiles.join(', ')}`);
+    }
     
     return {
-      success: true,
+      success: !circuitOpen,
+      ...(circuitOpen && { error: 'OpenSearch circuit breaker open', circuitOpen: true }),
+      workflowId,
+      stoppedEarly,
+      filesDone,
       syncedFiles: successCount,
       totalFiles: files.length,
+      resumedFiles: skipFiles.size,
+      rejectedFiles,
       totalRecords: totalSynced,
-      syncedIdsCount: allSyncedIds.size
+      syncedIdsCount: allSyncedIds.size,
+      deletedIdsCount: allDeletedIds.size,
+      failedIdsCount: failedItems.length,
+      failed: failedItems,
+      validation,
+      quarantinedCount: validation.quarantined,
+      dlqCount: dlqEntries.length,
+      embeddings: embeddings.getStats(),
+      embeddingUsage,
+      transforms: transformStats,
+      index: indexInfo.index
     };
     
   } catch (error) {
@@ -378,14 +676,9 @@ async function syncAll(workflowId = null) {
   }
 }
 
+module.exports = { syncAll, syncFile, syncRecords, writeSyncLog, ensureIndex };
+
 if (require.main === module) {
-  syncAll()
-    .then(result => {
-      console.log('✅ Sync completed successfully');
-    })
-    .catch(error => {
-      console.error('❌ Sync failed:', error);
-    });
+  // Same as: node cli.js sync
+  require('./cli').runCommand(['sync', ...process.argv.slice(2)]);
 }
-
-module.exports = { syncAll, syncFile };
@@ -1,46 +1,123 @@
 #!/usr/bin/env node
 
-const { Client } = require('@opensearch-project/opensearch');
-const { AwsSigv4Signer } = require('@opensearch-project/opensearch/aws');
-const { fromNodeProviderChain } = require('@aws-sdk/credential-providers');
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
+
+const { createOpenSearchClient } = require('./lib/opensearch_client');
+const { READ_ALIAS, documentProperties, getAliasTargets } = require('./lib/opensearch_index');
+const { store } = require('./lib/staging_store');
+const { resolveManifest } = require('./lib/run_manifest');
+const { isTombstone } = require('./lib/change_capture');
+const { createTransformChain } = require('./lib/transforms');
+const { createRecordValidator, checkStagedFile } = require('./lib/record_validation');
+const { getConfig } = require('./lib/config');
 
 // Configuration
-const OPENSEARCH_NODE = process.env.OPENSEARCH_NODE;
-const INDEX_NAME = 'pageseeker_response_opensearch';
-const S3_REGION = process.env.S3_REGION || 'ap-southeast-1';
+const MGET_BATCH_SIZE = 500;
+const job = getConfig().job;
+const COMPARE_FIELDS = job.verifyFields;
+const DATE_FIELDS = COMPARE_FIELDS.filter(field => (job.mapping[field] || {}).type === 'date');
+const transformChain = createTransformChain(job); // indexed docs are transformed (e.g. normalize_text)
+const validateRecord = createRecordValidator(documentProperties()); // same checks as the sync step
 
 // Initialize OpenSearch client
-const signer = new AwsSigv4Signer({
-  getCredentials: fromNodeProviderChain(),
-  region: S3_REGION,
-  service: 'es'
-});
+const osClient = createOpenSearchClient();
+
+// Read every sync_log_ids file for this workflow (latest file only when no workflowId)
+// Returns { syncedIds, deletedIds, failedIds } as sets of string IDs. failedIds are records
+// OpenSearch rejected for good (not synced by any later attempt) — the DLQ tracks those
+async function loadSyncedIds(workflowId) {
+  const prefix = workflowId
+    ? `log/sync_log_ids_${workflowId}_`
+    : 'log/sync_log_ids_';
+  
+  let logFiles = await store.list(prefix);
+  if (!workflowId && logFiles.length > 0) {
+    logFiles.sort((a, b) => b.lastModified - a.lastModified);
+    logFiles = [logFiles[0]];
+  }
+  
+  const ids = new Set();
+  const deletedIds = new Set();
+  const failedIds = new Set();
+  for (const logFile of logFiles) {
+    const syncLog = JSON.parse(await store.get(logFile.key));
+    (syncLog.syncedIds || []).forEach(id => ids.add(String(id)));
+    (syncLog.deletedIds || []).forEach(id => deletedIds.add(String(id)));
+    (syncLog.failed || []).forEach(item => failedIds.add(String(item.id)));
+  }
+  ids.forEach(id => failedIds.delete(id));
+  deletedIds.forEach(id => failedIds.delete(id));
+  
+  console.log(`📝 ${ids.size} IDs${deletedIds.size > 0 ? ` + ${deletedIds.size} deleted` : ''}${failedIds.size > 0 ? ` (${failedIds.size} failed, left to the DLQ)` : ''} from ${logFiles.length} sync log file(s) (${prefix})`);
+  return { syncedIds: ids, deletedIds, failedIds };
+}
+
+// Staged JSONL records of this run (latest run when no workflowId) keyed by ID,
+// used as the source of truth for field comparison. onlyFiles limits it to those keys
+async function loadStagedRecords(workflowId, onlyFiles = null) {
+  const records = new Map();
+  const manifest = await resolveManifest(workflowId);
+  let files = manifest ? manifest.files : [];
+  if (onlyFiles) {
+    const wanted = new Set(onlyFiles);
+    files = files.filter(file => wanted.has(file.key));
+  }
+  
+  for (const file of files) {
+    const content = await store.get(file.key);
+    if (content === null) continue;
+    // Quarantined lines never reach the index, so they are not expected there
+    for (const record of checkStagedFile(content, validateRecord).records) {
+      if (isTombstone(record)) continue; // checked through the sync log's deletedIds
+      records.set(String(record.id), transformChain.apply(record).record);
+    }
+  }
+  
+  console.log(`📁 ${records.size} staged records from ${files.length} file(s)`);
+  return records;
+}
 
-const osClient = new Client({
-  ...signer,
-  node: OPENSEARCH_NODE,
-  ssl: { rejectUnauthorized: false }
-});
+// Fields that differ between the staged record and the indexed document
+function diffFields(staged, indexed) {
+  return COMPARE_FIELDS.filter(field => {
+    const expected = staged[field] ?? null;
+    const actual = indexed[field] ?? null;
+    if (expected === null || actual === null) return expected !== actual;
+    if (DATE_FIELDS.includes(field)) {
+      return Date.parse(expected) !== Date.parse(actual);
+    }
+    return String(expected) !== String(actual);
+  });
+}
 
-// Test sync integrity
-async function testSync() {
+// Test sync integrity (options.files: only verify staged records from these files,
+// e.g. when the sync step stopped early)
+async function testSync(workflowId = null, options = {}) {
   try {
     console.log('🧪 Testing sync integrity...');
     
+    const targets = await getAliasTargets(osClient, READ_ALIAS);
+    if (targets.length === 0) {
+      console.log(`❌ Read alias ${READ_ALIAS} does not exist — run sync first`);
+      return { success: false, error: `Alias ${READ_ALIAS} not found` };
+    }
+    console.log(`🔗 Reading from ${READ_ALIAS} (${targets.join(', ')})`);
+    
     // Force refresh to ensure all indexed docs are searchable
     console.log('🔄 Refreshing OpenSearch index...');
-    await osClient.indices.refresh({ index: INDEX_NAME });
+    await osClient.indices.refresh({ index: READ_ALIAS });
     
     // Get OpenSearch count
     const osCount = await osClient.count({
-      index: INDEX_NAME
+      index: READ_ALIAS
     });
     
     console.log(`📊 OpenSearch records: ${osCount.body.count}`);
     
     // Get sample records to verify
     const sampleResponse = await osClient.search({
-      index: INDEX_NAME,
+      index: READ_ALIAS,
       body: {
         size: 5,
         sort: [{ id: 'asc' }],
@@ -53,12 +130,14 @@ async function testSync() {
     
     for (const hit of sampleRecords) {
       const record = hit._source;
-      console.log(`   📝 ID: ${record.id}, Ad ID: ${record.ad_id}, Name: ${record.ad_name?.substring(0, 50)}...`);
+      const fields = COMPARE_FIELDS.slice(0, 2)
+        .map(field => `${field}: ${String(record[field] ?? '').substring(0, 50)}`);
+      console.log(`   📝 ID: ${record.id}, ${fields.join(', ')}`);
     }
     
     // Check for duplicates
     const duplicateCheck = await osClient.search({
-      index: INDEX_NAME,
+      index: READ_ALIAS,
       body: {
         size: 0,
         aggs: {
@@ -82,87 +161,100 @@ async function testSync() {
     
     console.log('✅ No duplicates found');
     
-    // Get expected count from latest download summary in log folder
-    const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({ region: S3_REGION });
+    // Per-ID verification against this workflow's sync log + staged JSONL
+    const { syncedIds: expectedIds, deletedIds, failedIds } = await loadSyncedIds(workflowId);
+    const stagedRecords = await loadStagedRecords(workflowId, options.files || null);
+    stagedRecords.forEach((record, id) => expectedIds.add(id));
+    // Deleted at the source later in the same run: must be gone, not present
+    deletedIds.forEach(id => expectedIds.delete(id));
+    // Rejected by OpenSearch (e.g. mapping errors): re-syncing cannot help, the DLQ has them
+    failedIds.forEach(id => expectedIds.delete(id));
     
-    try {
-      // Find latest download summary in log folder
-      const listCommand = new ListObjectsV2Command({
-        Bucket: process.env.S3_BUCKET || 'scamtify-pageseeker-data',
-        Prefix: 'log/download_summary_'
-      });
-      
-      const listResponse = await s3Client.send(listCommand);
-      const summaryFiles = listResponse.Contents || [];
-      
-      if (summaryFiles.length === 0) {
-        console.log('⚠️ Could not find download summary in log folder');
-        return { success: true, totalRecords: osCount.body.count };
-      }
-      
-      // Sort by last modified and get the latest
-      summaryFiles.sort((a, b) => new Date(b.LastModified) - new Date(a.LastModified));
-      const latestSummary = summaryFiles[0];
-      
-      const summaryCommand = new GetObjectCommand({
-        Bucket: process.env.S3_BUCKET || 'scamtify-pageseeker-data',
-        Key: latestSummary.Key
+    if (expectedIds.size === 0 && deletedIds.size === 0) {
+      console.log('✅ No IDs to verify for this run');
+      return { success: true, totalRecords: osCount.body.count, checked: 0, missing: 0, missingIds: [], mismatched: [], undeletedIds: [], failedIds: Array.from(failedIds), resyncIds: [] };
+    }
+    
+    console.log(`🔍 Verifying ${expectedIds.size} IDs in batches of ${MGET_BATCH_SIZE}...`);
+    
+    const ids = Array.from(expectedIds);
+    const missingIds = [];
+    const mismatched = [];
+    
+    for (let i = 0; i < ids.length; i += MGET_BATCH_SIZE) {
+      const batch = ids.slice(i, i + MGET_BATCH_SIZE);
+      const response = await osClient.mget({
+        index: READ_ALIAS,
+        _source_includes: COMPARE_FIELDS,
+        body: { ids: batch }
       });
       
-      const summaryResponse = await s3Client.send(summaryCommand);
-      const summary = JSON.parse(await summaryResponse.Body.transformToString());
-      
-      console.log(`📊 Expected records: ${summary.totalRecords} (from ${latestSummary.Key})`);
-      console.log(`📊 Actual records: ${osCount.body.count}`);
-      
-      const missing = summary.totalRecords - osCount.body.count;
-      
-      if (missing === 0) {
-        console.log('✅ All records synced successfully!');
-        return { success: true, totalRecords: osCount.body.count, missing: 0 };
-      } else if (missing > 0) {
-        console.log(`⚠️ Missing ${missing} records`);
-        return { success: false, totalRecords: osCount.body.count, missing };
-      } else {
-        // Extra records - check if this is because no new data was downloaded OR accumulated data
-        if (summary.totalRecords === 0) {
-          console.log('✅ No new data to sync, existing records are from previous runs');
-          return { success: true, totalRecords: osCount.body.count, missing: 0 };
-        } else if (osCount.body.count > summary.totalRecords) {
-          console.log('✅ Data accumulated from multiple runs, this is normal');
-          console.log(`📊 Total in OpenSearch: ${osCount.body.count}, New this run: ${summary.totalRecords}`);
-          return { success: true, totalRecords: osCount.body.count, missing: 0 };
-        } else {
-          console.log(`⚠️ Extra ${Math.abs(missing)} records (possible duplicates)`);
-          return { success: false, totalRecords: osCount.body.count, extra: Math.abs(missing) };
+      for (const doc of response.body.docs) {
+        if (!doc.found) {
+          missingIds.push(doc._id);
+          continue;
+        }
+        const staged = stagedRecords.get(doc._id);
+        if (!staged) continue;
+        const fields = diffFields(staged, doc._source);
+        if (fields.length > 0) {
+          mismatched.push({ id: doc._id, fields });
         }
       }
-      
-    } catch (error) {
-      console.log('⚠️ Could not read download summary from log folder:', error.message);
-      return { success: true, totalRecords: osCount.body.count };
     }
     
+    // Tombstones applied by this run should no longer be searchable
+    const deleted = Array.from(deletedIds);
+    const undeletedIds = [];
+    for (let i = 0; i < deleted.length; i += MGET_BATCH_SIZE) {
+      const response = await osClient.mget({
+        index: READ_ALIAS,
+        _source: false,
+        body: { ids: deleted.slice(i, i + MGET_BATCH_SIZE) }
+      });
+      response.body.docs.filter(doc => doc.found).forEach(doc => undeletedIds.push(doc._id));
+    }
+    
+    console.log(`📊 Checked: ${ids.length}, Missing: ${missingIds.length}, Mismatched: ${mismatched.length}${deleted.length > 0 ? `, Deleted: ${deleted.length} (still present: ${undeletedIds.length})` : ''}`);
+    
+    if (missingIds.length > 0) {
+      console.log(`⚠️ Missing IDs: ${missingIds.slice(0, 20).join(', ')}${missingIds.length > 20 ? ' ...' : ''}`);
+    }
+    for (const item of mismatched.slice(0, 20)) {
+      console.log(`⚠️ Mismatch ID ${item.id}: ${item.fields.join(', ')}`);
+    }
+    
+    if (undeletedIds.length > 0) {
+      console.log(`⚠️ Deleted at source but still indexed: ${undeletedIds.slice(0, 20).join(', ')}${undeletedIds.length > 20 ? ' ...' : ''}`);
+    }
+    
+    const success = missingIds.length === 0 && mismatched.length === 0 && undeletedIds.length === 0;
+    if (success) {
+      console.log('✅ All records synced successfully!');
+    }
+    
+    return {
+      success,
+      totalRecords: osCount.body.count,
+      checked: ids.length,
+      missing: missingIds.length,
+      missingIds,
+      mismatched,
+      undeletedIds,
+      failedIds: Array.from(failedIds),
+      // Re-syncing a deleted ID replays its tombstone file, i.e. deletes it again
+      resyncIds: missingIds.concat(mismatched.map(item => item.id), undeletedIds)
+    };
+    
   } catch (error) {
     console.error('❌ Test failed:', error);
     return { success: false, error: error.message };
   }
 }
 
+module.exports = { testSync };
+
 if (require.main === module) {
-  testSync()
-    .then(result => {
-      if (result.success) {
-        console.log('✅ Sync test passed');
-      } else {
-        console.log('❌ Sync test failed');
-        console.log('💡 Consider re-running sync');
-      }
-    })
-    .catch(error => {
-      console.error('❌ Test failed:', error);
-    });
+  // Same as: node cli.js verify
+  require('./cli').runCommand(['verify', ...process.argv.slice(2)]);
 }
-
-module.exports = { testSync };
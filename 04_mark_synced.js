@@ -1,24 +1,17 @@
-const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { createClient } = require('@supabase/supabase-js');
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
 
-const S3_BUCKET = process.env.S3_BUCKET || 'scamtify-pageseeker-data';
-const S3_REGION = process.env.S3_REGION || 'ap-southeast-1';
+const { WRITE_ALIAS } = require('./lib/opensearch_index');
+const { store } = require('./lib/staging_store');
+const { supabase, SOURCE_SCHEMA, SOURCE_TABLE, PRIMARY_KEY, SYNC_FLAG_COLUMN } = require('./lib/supabase_client');
+const { compareIds } = require('./lib/run_manifest');
 
-const s3Client = new S3Client({ region: S3_REGION });
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY,
-  {
-    auth: { persistSession: false },
-    db: { 
-      timeout: 120000,
-      searchPath: 'api'
-    }
-  }
-);
-
-async function markAsSynced(workflowId = null) {
+// Only IDs OpenSearch confirmed (syncedIds in the sync logs) are marked;
+// options.excludeIds drops IDs that later failed verification in 03_test.js.
+// IDs are marked in ascending order, so options.startAt (from options.onBatch({ cursor }))
+// resumes an interrupted mark without re-reading Supabase; options.shouldStop() stops
+// before the next batch; options.dryRun reports the IDs it would mark and updates nothing
+async function markAsSynced(workflowId = null, options = {}) {
   try {
     console.log('🔍 Marking records as synced in Supabase...');
     console.log(`🔍 markAsSynced called with workflowId: ${workflowId}`);
@@ -29,13 +22,7 @@ async function markAsSynced(workflowId = null) {
       : 'log/sync_log_ids_';
     console.log(`🔎 Looking for sync logs with prefix: ${prefix}`);
     
-    const listCommand = new ListObjectsV2Command({
-      Bucket: S3_BUCKET,
-      Prefix: prefix
-    });
-    
-    const response = await s3Client.send(listCommand);
-    const logFiles = response.Contents || [];
+    const logFiles = await store.list(prefix);
     
     if (logFiles.length === 0) {
       console.log('❌ No sync log files found');
@@ -45,48 +32,81 @@ async function markAsSynced(workflowId = null) {
     }
     
     // อ่าน sync log ทุกไฟล์ รวม IDs ทั้งหมด (กรณี sync หลายรอบ)
-    logFiles.sort((a, b) => new Date(a.LastModified) - new Date(b.LastModified));
+    logFiles.sort((a, b) => a.lastModified - b.lastModified);
     console.log(`📝 Found ${logFiles.length} sync log file(s)`);
     
     const allIdsSet = new Set();
+    const deletedIds = new Set(); // rows deleted at the source — nothing left to mark
+    const indices = new Set();
     
     for (const logFile of logFiles) {
-      console.log(`  � Reading: ${logFile.Key}`);
-      
-      const getCommand = new GetObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: logFile.Key
-      });
+      console.log(`  � Reading: ${logFile.key}`);
       
-      const logResponse = await s3Client.send(getCommand);
-      const logContent = await logResponse.Body.transformToString();
+      const logContent = await store.get(logFile.key);
       const syncLog = JSON.parse(logContent);
       
       const ids = syncLog.syncedIds || [];
       ids.forEach(id => allIdsSet.add(id));
+      (syncLog.deletedIds || []).forEach(id => deletedIds.add(String(id)));
       console.log(`     → ${ids.length} IDs (timestamp: ${syncLog.timestamp})`);
+      
+      if (syncLog.index && syncLog.index !== WRITE_ALIAS) {
+        console.log(`     ⚠️ Log was written against ${syncLog.index}, expected ${WRITE_ALIAS}`);
+      }
+      if (syncLog.physicalIndex) indices.add(syncLog.physicalIndex);
     }
     
-    const syncedIds = Array.from(allIdsSet);
-    console.log(`� Total unique IDs from all logs: ${syncedIds.length}`);
+    const excluded = new Set((options.excludeIds || []).map(String));
+    const syncedIds = Array.from(allIdsSet)
+      .filter(id => !excluded.has(String(id)) && !deletedIds.has(String(id)))
+      .sort(compareIds);
+    console.log(`� Total unique IDs from all logs: ${allIdsSet.size}`);
+    if (allIdsSet.size !== syncedIds.length) {
+      console.log(`⚠️ Skipping ${allIdsSet.size - syncedIds.length} IDs that failed verification or were deleted`);
+    }
     
     // Mark records in batches
     const batchSize = 1000;
+    const startAt = options.startAt || 0;
     let totalUpdated = 0;
+    let failedIds = 0; // batches Supabase rejected — picked up again by the next download
     
     console.log(`🔄 Updating ${syncedIds.length} records in Supabase...`);
+    if (startAt > 0) {
+      console.log(`⏩ Resuming after ${startAt} IDs already marked`);
+    }
     
-    for (let i = 0; i < syncedIds.length; i += batchSize) {
+    if (options.dryRun) {
+      console.log(`🔎 Dry run: would mark ${syncedIds.length - startAt} records as synced`);
+      return {
+        success: true,
+        dryRun: true,
+        totalUpdated: 0,
+        wouldUpdate: syncedIds.length - startAt,
+        totalIds: syncedIds.length,
+        logFiles: logFiles.map(f => f.key)
+      };
+    }
+    
+    let stoppedEarly = null;
+    for (let i = startAt; i < syncedIds.length; i += batchSize) {
+      stoppedEarly = options.shouldStop ? options.shouldStop() : null;
+      if (stoppedEarly) {
+        console.log(`⏹️ Stopping mark with ${syncedIds.length - i} IDs left: ${stoppedEarly}`);
+        break;
+      }
+      
       const batch = syncedIds.slice(i, i + batchSize);
       
       const { data, error } = await supabase
-        .schema('api')
-        .from('pageseeker_response_opensearch')
-        .update({ opensearch_sync: true })
-        .in('id', batch);
+        .schema(SOURCE_SCHEMA)
+        .from(SOURCE_TABLE)
+        .update({ [SYNC_FLAG_COLUMN]: true })
+        .in(PRIMARY_KEY, batch);
       
       if (error) {
         console.error(`❌ Error updating batch ${i + 1}-${Math.min(i + batchSize, syncedIds.length)}:`, error);
+        failedIds += batch.length;
         continue;
       }
       
@@ -94,6 +114,10 @@ async function markAsSynced(workflowId = null) {
       
       const progress = ((i + batchSize) / syncedIds.length * 100).toFixed(1);
       console.log(`📊 Progress: ${Math.min(progress, 100)}% (${totalUpdated}/${syncedIds.length} records)`);
+      
+      if (options.onBatch) {
+        await options.onBatch({ cursor: i + batch.length, totalUpdated });
+      }
     }
     
     console.log('✅ Mark as synced completed!');
@@ -102,8 +126,12 @@ async function markAsSynced(workflowId = null) {
     return {
       success: true,
       totalUpdated: totalUpdated,
+      failedIds,
       totalIds: syncedIds.length,
-      logFiles: logFiles.map(f => f.Key)
+      resumedAt: startAt,
+      stoppedEarly,
+      indices: Array.from(indices),
+      logFiles: logFiles.map(f => f.key)
     };
     
   } catch (error) {
@@ -116,18 +144,9 @@ async function markAsSynced(workflowId = null) {
   }
 }
 
+module.exports = { markAsSynced };
+
 if (require.main === module) {
-  markAsSynced()
-    .then(result => {
-      if (result.success) {
-        console.log('✅ Mark as synced completed successfully');
-      } else {
-        console.log('❌ Mark as synced failed');
-      }
-    })
-    .catch(error => {
-      console.error('❌ Unexpected error:', error);
-    });
+  // Same as: node cli.js mark
+  require('./cli').runCommand(['mark', ...process.argv.slice(2)]);
 }
-
-module.exports = { markAsSynced };
@@ -1,95 +1,135 @@
 #!/usr/bin/env node
 
-const { S3Client, ListObjectsV2Command, DeleteObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
 
-// Configuration
-const S3_BUCKET = process.env.S3_BUCKET || 'scamtify-pageseeker-data';
-const S3_REGION = process.env.S3_REGION || 'ap-southeast-1';
+const { store } = require('./lib/staging_store');
+const { runPrefix } = require('./lib/run_manifest');
+const { DLQ_PREFIX } = require('./lib/dlq');
+const { QUARANTINE_PREFIX } = require('./lib/quarantine');
+const { STATE_PREFIX, loadRunState } = require('./lib/run_state');
+const { getConfig } = require('./lib/config');
 
-// Initialize S3 client
-const s3Client = new S3Client({ region: S3_REGION });
+// Configuration (0 = keep forever)
+const { logDays: LOG_RETENTION_DAYS, syncIdLogDays: SYNC_ID_LOG_RETENTION_DAYS } = getConfig().retention;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['completed', 'abandoned'];
+const BACKFILL_PREFIX = 'log/backfills/'; // 09_backfill.js state, resumable until completed
 
-// Clean S3 (keep only summary and logs)
-async function cleanS3() {
+// Retention window for a log/ key, or null if it is never pruned here
+function retentionDays(key) {
+  if (key.startsWith(DLQ_PREFIX)) return null; // DLQ entries leave via 08_replay_dlq.js
+  if (key.startsWith('log/sync_log_ids_')) return SYNC_ID_LOG_RETENTION_DAYS;
+  return LOG_RETENTION_DAYS;
+}
+
+// Workflow a log/ key belongs to (run state, sync ID logs, quarantine), or null
+function workflowOf(key) {
+  if (key.startsWith(STATE_PREFIX)) return key.slice(STATE_PREFIX.length).replace(/\.json$/, '');
+  if (key.startsWith(QUARANTINE_PREFIX)) return key.slice(QUARANTINE_PREFIX.length).split('/')[0];
+  const match = key.match(/^log\/sync_log_ids_(.+)_\d{4}-\d{2}-\d{2}T[\d-]+Z\.json$/);
+  return match ? match[1] : null;
+}
+
+// log/ files older than their retention window. Files of a run that is not completed or
+// abandoned, and unfinished backfill states, are kept whatever their age: resume needs them.
+async function expiredLogs(now = Date.now()) {
+  const logs = await store.list('log/');
+  const expired = logs.filter(file => {
+    const days = retentionDays(file.key);
+    return days && now - file.lastModified.getTime() > days * DAY_MS;
+  });
+
+  const finished = new Map();
+  const isFinished = async workflowId => {
+    if (!finished.has(workflowId)) {
+      // No run state: resync / replay / backfill IDs, or a run pruned already
+      const state = await loadRunState(workflowId);
+      finished.set(workflowId, !state || FINISHED_STATUSES.includes(state.status));
+    }
+    return finished.get(workflowId);
+  };
+
+  const prunable = [];
+  for (const file of expired) {
+    const workflowId = workflowOf(file.key);
+    if (workflowId && !(await isFinished(workflowId))) continue;
+    if (file.key.startsWith(BACKFILL_PREFIX)) {
+      const content = await store.get(file.key);
+      if (content !== null && JSON.parse(content).status !== 'completed') continue;
+    }
+    prunable.push(file);
+  }
+  if (prunable.length < expired.length) {
+    console.log(`⏸️ Keeping ${expired.length - prunable.length} expired log files of unfinished runs`);
+  }
+  return prunable;
+}
+
+// Clean up after a run: delete this workflow's staged files (runs/<workflowId>/ only —
+// the bucket is shared with other tools) and prune log/ by retention.
+// options.dryRun lists what would be deleted without touching anything.
+async function cleanS3(workflowId = null, options = {}) {
+  const dryRun = Boolean(options.dryRun);
   try {
-    console.log('🗑️ Cleaning S3 bucket...');
+    console.log(`🗑️ Cleaning staging (${store.location})${dryRun ? ' [dry run]' : ''}...`);
     
-    // List all files (paginated - S3 returns max 1000 per request)
-    let files = [];
-    let continuationToken = undefined;
-    
-    do {
-      const listCommand = new ListObjectsV2Command({
-        Bucket: S3_BUCKET,
-        ContinuationToken: continuationToken
-      });
-      
-      const response = await s3Client.send(listCommand);
-      if (response.Contents) {
-        files = files.concat(response.Contents);
-      }
-      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
-    } while (continuationToken);
-    
-    console.log(`📊 Found ${files.length} files in S3`);
-    
-    // Separate files to keep vs delete
-    const filesToKeep = files.filter(file => 
-      file.Key.includes('summary') || 
-      file.Key.includes('log/')
-    );
+    // Staged files of this run
+    let stagedFiles = [];
+    if (workflowId) {
+      stagedFiles = await store.list(runPrefix(workflowId));
+      console.log(`📁 ${stagedFiles.length} staged files under ${runPrefix(workflowId)}`);
+    } else {
+      console.log('⚠️ No workflowId — skipping staged files, pruning logs only');
+    }
     
-    const filesToDelete = files.filter(file => 
-      !file.Key.includes('summary') && 
-      !file.Key.includes('log/')
-    );
+    // Logs past retention
+    const oldLogs = await expiredLogs();
+    console.log(`📝 ${oldLogs.length} log files past retention (logs ${LOG_RETENTION_DAYS}d, sync ID logs ${SYNC_ID_LOG_RETENTION_DAYS}d)`);
     
-    console.log(`📁 Files to keep: ${filesToKeep.length}`);
-    console.log(`🗑️ Files to delete: ${filesToDelete.length}`);
+    const keysToDelete = stagedFiles.concat(oldLogs).map(file => file.key);
     
-    // Delete files
-    let deletedCount = 0;
-    for (const file of filesToDelete) {
-      const deleteCommand = new DeleteObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: file.Key
-      });
-      
-      await s3Client.send(deleteCommand);
-      deletedCount++;
-      
-      if (deletedCount % 100 === 0) {
-        console.log(`🗑️ Deleted ${deletedCount}/${filesToDelete.length} files`);
-      }
+    if (dryRun) {
+      keysToDelete.forEach(key => console.log(`  would delete: ${key}`));
+      return {
+        success: true,
+        dryRun: true,
+        workflowId,
+        filesDeleted: 0,
+        wouldDelete: keysToDelete
+      };
     }
     
-    console.log(`🗑️ Successfully deleted ${deletedCount} files`);
+    // Batched DeleteObjects (1000 keys per request)
+    const deletedCount = await store.delete(keysToDelete);
+    console.log(`🗑️ Successfully deleted ${deletedCount}/${keysToDelete.length} files`);
     
     // Save cleanup log
     const cleanupLog = {
       cleanedAt: new Date().toISOString(),
-      totalFiles: files.length,
+      workflowId,
+      stagedFilesDeleted: stagedFiles.length,
+      logsPruned: oldLogs.map(file => file.key),
       filesDeleted: deletedCount,
-      filesKept: filesToKeep.length,
-      keptFiles: filesToKeep.map(f => f.Key),
+      retention: {
+        logDays: LOG_RETENTION_DAYS,
+        syncIdLogDays: SYNC_ID_LOG_RETENTION_DAYS
+      },
       version: 'SYNC_SYSTEM_V1'
     };
     
-    const logCommand = new PutObjectCommand({
-      Bucket: S3_BUCKET,
-      Key: `log/cleanup_log_${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
-      Body: JSON.stringify(cleanupLog, null, 2),
-      ContentType: 'application/json'
-    });
-    
-    await s3Client.send(logCommand);
+    await store.put(
+      `log/cleanup_log_${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+      JSON.stringify(cleanupLog, null, 2)
+    );
     console.log('📝 Cleanup log saved');
     
     return {
       success: true,
-      totalFiles: files.length,
+      workflowId,
       filesDeleted: deletedCount,
-      filesKept: filesToKeep.length
+      stagedFilesDeleted: stagedFiles.length,
+      logsPruned: oldLogs.length
     };
     
   } catch (error) {
@@ -101,18 +141,9 @@ async function cleanS3() {
   }
 }
 
+module.exports = { cleanS3 };
+
 if (require.main === module) {
-  cleanS3()
-    .then(result => {
-      if (result.success) {
-        console.log('✅ S3 cleanup completed successfully');
-      } else {
-        console.log('❌ S3 cleanup failed');
-      }
-    })
-    .catch(error => {
-      console.error('❌ S3 cleanup failed:', error);
-    });
+  // Same as: node cli.js clean
+  require('./cli').runCommand(['clean', ...process.argv.slice(2)]);
 }
-
-module.exports = { cleanS3 };
@@ -1,24 +1,40 @@
 #!/usr/bin/env node
-require('dotenv').config();
+
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
 
 const { downloadToS3 } = require('./01_download');
 const { syncAll } = require('./02_sync');
 const { testSync } = require('./03_test');
 const { markAsSynced } = require('./04_mark_synced');
 const { cleanS3 } = require('./05_clean_s3');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-
-// Configuration
-const S3_BUCKET = process.env.S3_BUCKET || 'scamtify-pageseeker-data';
-const S3_REGION = process.env.S3_REGION || 'ap-southeast-1';
+const { store } = require('./lib/staging_store');
+const { newWorkflowId } = require('./lib/run_manifest');
+const { acquireRunLock, readRunLock } = require('./lib/run_lock');
+const {
+  createRunState,
+  saveRunState,
+  loadRunState,
+  latestRunState,
+  findUnfinishedRun,
+  isUnfinished,
+  isStepDone,
+  completeStep,
+  finishRun
+} = require('./lib/run_state');
+const { stopRequested, installSignalHandlers, startStep } = require('./lib/run_control');
+const changeCapture = require('./lib/change_capture');
+const { DLQ_PREFIX } = require('./lib/dlq');
+const quarantine = require('./lib/quarantine');
 
-// Initialize S3 client
-const s3Client = new S3Client({ region: S3_REGION });
+// Run summaries; 02_sync.js writes its per-ID logs under the same prefix
+const SYNC_LOG_PREFIX = 'log/sync_log_';
+const SYNC_ID_LOG_PREFIX = 'log/sync_log_ids_';
 
 // Save timestamp log
 async function saveTimestampLog(summary) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const logFilename = `log/sync_log_${timestamp}.json`;
+  const logFilename = `${SYNC_LOG_PREFIX}${timestamp}.json`;
   
   const logData = {
     timestamp: new Date().toISOString(),
@@ -27,25 +43,214 @@ async function saveTimestampLog(summary) {
     mode: 'orchestration'
   };
   
-  const command = new PutObjectCommand({
-    Bucket: S3_BUCKET,
-    Key: logFilename,
-    Body: JSON.stringify(logData, null, 2),
-    ContentType: 'application/json'
-  });
-  
-  await s3Client.send(command);
+  await store.put(logFilename, JSON.stringify(logData, null, 2));
   console.log(`📝 Sync log saved: ${logFilename}`);
   
   return logFilename;
 }
 
-// Main orchestration function
-async function orchestrate() {
+// Change capture: move the watermark only once the whole window was staged and synced
+// (records still in the DLQ are replayed from there)
+async function commitChangeWindow(workflowId, downloadResult, syncResult) {
+  const capture = downloadResult.changeCapture;
+  if (!capture) return null;
+  if (!capture.complete || syncResult.stoppedEarly || (syncResult.rejectedFiles || []).length > 0) {
+    console.log('⏸️ Change capture window not fully synced — watermark stays for the next run');
+    return null;
+  }
+  return changeCapture.commitWindow(capture.window, workflowId);
+}
+
+// Partial summary for a run stopped by SIGTERM: state → interrupted (resumed next run)
+async function recordInterrupted(state, reason) {
+  await finishRun(state, 'interrupted', { interruptedStep: state.step, reason });
+  const logFilename = await saveTimestampLog({
+    workflowId: state.workflowId,
+    startTime: state.startedAt,
+    endTime: new Date().toISOString(),
+    ...state.results,
+    interrupted: { step: state.step, reason },
+    success: false
+  });
+  return logFilename;
+}
+
+// What a run would do right now, without taking the lock or writing anything
+async function planRun(options = {}) {
+  const unfinished = await findUnfinishedRun();
+  const lock = await readRunLock();
+  if (lock && !lock.expired) {
+    console.log(`🔎 Dry run: ${lock.owner} holds the run lock until ${lock.expiresAt} — a run now would exit (locked)`);
+    return { success: false, dryRun: true, status: 'locked', heldBy: lock };
+  }
+  
+  if (unfinished && !options.abandon) {
+    console.log(`🔎 Dry run: would resume workflow ${unfinished.workflowId} at step "${unfinished.step}" (attempt ${unfinished.attempts + 1})`);
+    return { success: true, dryRun: true, action: 'resume', workflowId: unfinished.workflowId, step: unfinished.step };
+  }
+  
+  if (unfinished) {
+    console.log(`🔎 Dry run: would abandon workflow ${unfinished.workflowId} and start a new run`);
+  }
+  const download = await downloadToS3(null, { dryRun: true });
+  return {
+    success: true,
+    dryRun: true,
+    action: 'new',
+    ...(unfinished && { abandons: unfinished.workflowId }),
+    download
+  };
+}
+
+// Snapshot for on-call: last run, lock, DLQ size, quarantined lines, change capture watermark
+async function runStatus() {
+  const [lastRun, lock, dlqEntries, logs] = await Promise.all([
+    latestRunState(),
+    readRunLock(),
+    store.list(DLQ_PREFIX),
+    store.list(SYNC_LOG_PREFIX)
+  ]);
+  const lastLog = logs
+    .filter(log => !log.key.startsWith(SYNC_ID_LOG_PREFIX))
+    .sort((a, b) => b.lastModified - a.lastModified)[0] || null;
+  const watermark = changeCapture.isEnabled() ? await changeCapture.loadWatermark() : null;
+  const quarantined = lastRun ? await quarantine.listEntries(lastRun.workflowId) : [];
+  
+  console.log('📊 Sync status');
+  if (lastRun) {
+    console.log(`   🧾 Last run: ${lastRun.workflowId} — ${lastRun.status} at step "${lastRun.step}" (attempt ${lastRun.attempts}, updated ${lastRun.updatedAt})`);
+    if (lastRun.error) console.log(`   ❌ Error: ${lastRun.error}`);
+  } else {
+    console.log('   🧾 No runs recorded yet');
+  }
+  console.log(`   🔒 Lock: ${lock ? `${lock.owner} until ${lock.expiresAt}${lock.expired ? ' (expired)' : ''}` : 'free'}`);
+  console.log(`   📮 DLQ entries: ${dlqEntries.length}`);
+  if (quarantined.length > 0) console.log(`   🚧 Quarantined lines (last run): ${quarantined.length}`);
+  if (watermark) console.log(`   📌 Change capture: ${changeCapture.UPDATED_AT_COLUMN} ${watermark.changedAt}, deleted_at ${watermark.deletedAt}`);
+  if (lastLog) console.log(`   📝 Last summary: ${lastLog.key}`);
+  
+  return {
+    success: true,
+    lastRun: lastRun && {
+      workflowId: lastRun.workflowId,
+      status: lastRun.status,
+      step: lastRun.step,
+      attempts: lastRun.attempts,
+      startedAt: lastRun.startedAt,
+      updatedAt: lastRun.updatedAt,
+      error: lastRun.error || null
+    },
+    lock,
+    dlqEntries: dlqEntries.length,
+    quarantined: quarantined.length,
+    watermark,
+    lastSummary: lastLog ? lastLog.key : null
+  };
+}
+
+// Main orchestration function: only one run at a time, guarded by the run lock.
+// An unfinished run (killed or failed) is resumed from its last checkpoint;
+// options.abandon gives it up instead (its staged files are cleaned) and starts fresh
+async function orchestrate(options = {}) {
+  if (options.dryRun) {
+    return planRun(options);
+  }
+  
+  let unfinished;
+  try {
+    unfinished = await findUnfinishedRun();
+  } catch (error) {
+    console.error('❌ Could not read run state:', error);
+    return { success: false, step: 'state', error: error.message };
+  }
+  
+  const resuming = Boolean(unfinished) && !options.abandon;
+  const workflowId = resuming ? unfinished.workflowId : newWorkflowId();
+  
+  let lock;
+  try {
+    lock = await acquireRunLock(workflowId);
+  } catch (error) {
+    console.error('❌ Could not acquire run lock:', error);
+    return { success: false, step: 'lock', error: error.message };
+  }
+  
+  if (!lock.acquired) {
+    const { owner, expiresAt } = lock.heldBy;
+    console.log(`⏭️ Another run (${owner}) holds the run lock${expiresAt ? ` until ${expiresAt}` : ''} — exiting`);
+    return { success: false, status: 'locked', workflowId, heldBy: lock.heldBy };
+  }
+  
+  let state;
+  installSignalHandlers(async signal => {
+    // Pipeline did not wind down in time: record what we have and give the lock back
+    if (state) await recordInterrupted(state, `${signal}, grace period exceeded`);
+    await lock.release();
+  });
+  
+  try {
+    if (resuming) {
+      // Re-read under the lock: the previous holder may have finished it meanwhile
+      state = await loadRunState(workflowId);
+      if (!state || !isUnfinished(state)) {
+        console.log(`ℹ️ Workflow ${workflowId} already finished — nothing to resume`);
+        return { success: true, workflowId, status: 'nothing to resume' };
+      }
+      state.attempts++;
+      state.status = 'running';
+      console.log(`♻️ Resuming workflow ${workflowId} at step "${state.step}" (attempt ${state.attempts})`);
+    } else {
+      if (unfinished) {
+        await abandonRun(unfinished);
+      }
+      state = createRunState(workflowId);
+    }
+    await saveRunState(state);
+    
+    const result = await runPipeline(workflowId, lock, state);
+    if (result.interrupted) {
+      result.logFilename = await recordInterrupted(state, result.error);
+    } else if (result.success) {
+      await finishRun(state, 'completed');
+    } else {
+      await finishRun(state, 'failed', { error: result.error, failedStep: result.step || state.step });
+    }
+    return { ...result, workflowId, attempts: state.attempts };
+  } catch (error) {
+    console.error('❌ Orchestration failed:', error);
+    return { success: false, workflowId, error: error.message };
+  } finally {
+    await lock.release();
+  }
+}
+
+// Give up on an unfinished run: nothing it synced but did not mark is lost, those rows
+// are still opensearch_sync=false and the next download picks them up again
+async function abandonRun(state) {
+  console.log(`🗑️ Abandoning workflow ${state.workflowId} (stopped at step "${state.step}")`);
+  await cleanS3(state.workflowId);
+  await finishRun(state, 'abandoned');
+}
+
+// Download → Sync → Test → Mark → Clean → Log for one workflow, skipping steps the
+// run state says are done and checkpointing progress into it as it goes
+async function runPipeline(workflowId, lock, state) {
+  const checkpoint = async (field, progress) => {
+    state[field] = progress;
+    await saveRunState(state);
+  };
+  // SIGTERM: leave the step unfinished so the next run resumes it from its checkpoint.
+  // A step that only ran out of budget is completed with what it managed and the run goes on.
+  const interrupted = step => {
+    const signal = stopRequested();
+    if (!signal) return null;
+    console.log(`🛑 Stopping after ${step} (${signal})`);
+    return { success: false, interrupted: true, step, error: `${signal} received` };
+  };
+  
   try {
     console.log('🔍 Orchestrate function started');
-    const workflowId = Date.now().toString(36);
-    const startTime = new Date();
+    const startTime = new Date(state.startedAt);
     
     console.log(`🚀 Starting complete sync orchestration... [workflow: ${workflowId}]`);
     console.log('📊 Plan: Download → Sync → Test → Mark → Clean → Log');
@@ -53,81 +258,127 @@ async function orchestrate() {
     // Step 1: Download
     console.log('\n📥 Step 1: Download from Supabase to S3');
     let downloadResult;
-    try {
-      downloadResult = await downloadToS3();
-    } catch (error) {
-      console.error('❌ Download failed:', error);
-      return { success: false, step: 'download', error: error.message };
-    }
-    
-    if (!downloadResult.success) {
-      console.error('❌ Download failed');
-      return { success: false, step: 'download', error: 'Download failed' };
+    if (isStepDone(state, 'download')) {
+      downloadResult = state.results.download;
+      console.log(`⏩ Already done: ${downloadResult.totalRecords} records in ${downloadResult.fileCount} files`);
+    } else {
+      try {
+        downloadResult = await downloadToS3(workflowId, {
+          resume: state.download,
+          onFile: progress => checkpoint('download', progress),
+          shouldStop: startStep('download')
+        });
+      } catch (error) {
+        console.error('❌ Download failed:', error);
+        return { success: false, step: 'download', error: error.message };
+      }
+      
+      if (!downloadResult.success) {
+        console.error('❌ Download failed');
+        return { success: false, step: 'download', error: 'Download failed' };
+      }
+      const stopped = interrupted('download');
+      if (stopped) return stopped;
+      await completeStep(state, 'download', downloadResult);
     }
     
     // Step 2: Sync
     console.log('\n📤 Step 2: Sync from S3 to OpenSearch');
-    const syncResult = await syncAll(workflowId);
-    
-    if (!syncResult.success) {
-      console.error('❌ Sync failed');
-      return { success: false, step: 'sync', error: syncResult.error };
+    let syncResult;
+    if (isStepDone(state, 'sync')) {
+      syncResult = state.results.sync;
+      console.log(`⏩ Already done: ${syncResult.totalRecords} records`);
+    } else {
+      syncResult = await syncAll(workflowId, {
+        skipFiles: state.sync.filesDone,
+        onCheckpoint: progress => checkpoint('sync', progress),
+        shouldStop: startStep('sync')
+      });
+      
+      if (!syncResult.success) {
+        console.error('❌ Sync failed');
+        return { success: false, step: 'sync', error: syncResult.error };
+      }
+      const stopped = interrupted('sync');
+      if (stopped) return stopped;
+      await completeStep(state, 'sync', syncResult);
     }
     
     // Step 3: Test
     console.log('\n🧪 Step 3: Test sync integrity');
-    console.log('🔍 Calling testSync()...');
     let testResult;
     let currentTestResult;
     let markResult; 
     
-    // Call testSync first
-    currentTestResult = await testSync();
-    testResult = currentTestResult;
-    console.log('🔍 testSync() result:', testResult);
-    
-    // Retry loop if test fails (up to 3 attempts)
-    let retryCount = 0;
-    const MAX_RETRIES = 3;
-    
-    while (!currentTestResult.success && retryCount < MAX_RETRIES) {
-      retryCount++;
-      console.log(`⚠️ Test failed, re-syncing (attempt ${retryCount}/${MAX_RETRIES})...`);
-      console.log('💡 This will fix any missing records');
+    if (isStepDone(state, 'test')) {
+      testResult = state.results.test;
+      console.log(`⏩ Already done: ${testResult.success ? 'PASSED' : 'FAILED'}`);
+    } else {
+      console.log('🔍 Calling testSync()...');
+      const shouldStop = startStep('test');
+      // Sync stopped on its budget: only verify the files it got through
+      const testOptions = syncResult.stoppedEarly ? { files: syncResult.filesDone } : {};
+      
+      // Call testSync first
+      currentTestResult = await testSync(workflowId, testOptions);
+      testResult = currentTestResult;
+      console.log('🔍 testSync() result:', testResult);
+      
+      // Retry loop if test fails (up to 3 attempts)
+      let retryCount = 0;
+      const MAX_RETRIES = 3;
+      
+      while (!currentTestResult.success && retryCount < MAX_RETRIES) {
+        const stopReason = shouldStop();
+        if (stopReason) {
+          console.log(`⏹️ No more re-sync attempts: ${stopReason}`);
+          break;
+        }
+        retryCount++;
+        console.log(`⚠️ Test failed, re-syncing (attempt ${retryCount}/${MAX_RETRIES})...`);
+        const resyncIds = currentTestResult.resyncIds || [];
+        console.log(`💡 Re-syncing ${resyncIds.length} missing/mismatched IDs`);
       
-      const reSyncResult = await syncAll(workflowId);
-      if (!reSyncResult.success) {
-        console.error('❌ Re-sync failed');
-        if (retryCount >= MAX_RETRIES) {
-          return { success: false, step: 'resync', error: 'Re-sync failed after max retries' };
+        const reSyncResult = await syncAll(workflowId, resyncIds.length > 0
+          ? { ids: resyncIds, shouldStop, countAttempt: false }
+          : { shouldStop, countAttempt: false });
+        if (!reSyncResult.success) {
+          console.error('❌ Re-sync failed');
+          if (retryCount >= MAX_RETRIES) {
+            return { success: false, step: 'resync', error: 'Re-sync failed after max retries' };
+          }
+          continue;
         }
-        continue;
+      
+        currentTestResult = await testSync(workflowId, testOptions);
+        console.log(`🔍 Re-test result (attempt ${retryCount}):`, currentTestResult);
       }
       
-      currentTestResult = await testSync();
-      console.log(`🔍 Re-test result (attempt ${retryCount}):`, currentTestResult);
-    }
-    
-    // Update testResult with the latest result (after retries)
-    testResult = currentTestResult;
-    
-    if (!currentTestResult.success) {
-      console.log('⚠️ Test still not perfect after retries, but continuing with mark step...');
-      console.log(`📊 Records synced so far — proceeding to mark as synced`);
+      // Update testResult with the latest result (after retries)
+      testResult = currentTestResult;
+      
+      if (!currentTestResult.success) {
+        console.log('⚠️ Test still not perfect after retries, but continuing with mark step...');
+        console.log(`📊 Records synced so far — proceeding to mark as synced`);
       
-      // 🚨 CRITICAL ALERT: Missing records detected
-      if (currentTestResult.missing && currentTestResult.missing > 0) {
-        console.error(`🚨🚨🚨 CRITICAL ALERT: ${currentTestResult.missing} records missing from OpenSearch!`);
-        console.error(`🚨 Expected: ${currentTestResult.totalRecords + currentTestResult.missing}, Actual: ${currentTestResult.totalRecords}`);
-        console.error(`🚨 This indicates data loss or sync issues - requires immediate attention!`);
-        console.error(`🚨 Check OpenSearch index and consider manual resync if needed`);
-        
-        // Add to summary for monitoring
-        currentTestResult.criticalMissing = currentTestResult.missing;
+        // 🚨 CRITICAL ALERT: Missing records detected
+        if (currentTestResult.missing && currentTestResult.missing > 0) {
+          console.error(`🚨🚨🚨 CRITICAL ALERT: ${currentTestResult.missing} records missing from OpenSearch!`);
+          console.error(`🚨 Checked: ${currentTestResult.checked}, Missing IDs: ${currentTestResult.missingIds.slice(0, 20).join(', ')}`);
+          console.error(`🚨 This indicates data loss or sync issues - requires immediate attention!`);
+          console.error(`🚨 Check OpenSearch index and consider manual resync if needed`);
+      
+          // Add to summary for monitoring
+          currentTestResult.criticalMissing = currentTestResult.missing;
+        }
       }
+      const stopped = interrupted('test');
+      if (stopped) return stopped;
+      await completeStep(state, 'test', testResult);
     }
     
     // Step 4: Mark records as synced in Supabase
+    lock.assertHeld();
     console.log('\n✅ Step 4: Mark records as synced in Supabase');
     console.log(`🔍 Before mark: downloadResult.totalRecords=${downloadResult.totalRecords}`);
     console.log('🔍 About to call markAsSynced...');
@@ -135,15 +386,28 @@ async function orchestrate() {
     console.log('🔍 About to enter try block...');
     
     try {
-      markResult = await markAsSynced(workflowId);
+      markResult = isStepDone(state, 'mark')
+        ? state.results.mark
+        : await markAsSynced(workflowId, {
+          excludeIds: testResult.resyncIds || [],
+          startAt: state.mark.cursor,
+          onBatch: progress => checkpoint('mark', progress),
+          shouldStop: startStep('mark')
+        });
       console.log('🔍 markAsSynced returned successfully');
       console.log(`🔍 After mark: markResult.success=${markResult.success}, error="${markResult.error}"`);
       
       // Special case: No new data to sync is SUCCESS
       console.log(`🔍 Debug: markResult.success=${markResult.success}, error="${markResult.error}", downloadResult.totalRecords=${downloadResult.totalRecords}`);
       
-      if (!markResult.success && markResult.error === 'No sync log files found' && downloadResult.totalRecords === 0) {
+      // Same when the sync budget ran out before the first file: records stay unsynced for the next run
+      const nothingSynced = downloadResult.totalRecords === 0 || (syncResult.stoppedEarly && syncResult.totalRecords === 0);
+      if (!markResult.success && markResult.error === 'No sync log files found' && nothingSynced) {
       console.log('ℹ️ No new data to sync - this is a successful run');
+      await commitChangeWindow(workflowId, downloadResult, syncResult);
+      // Drop the empty manifest of this run
+      const cleanResult = await cleanS3(workflowId);
+      
       // Create a successful summary for no-data case
       const summary = {
         workflowId,
@@ -152,7 +416,7 @@ async function orchestrate() {
         sync: syncResult,
         test: testResult,
         mark: { success: true, totalUpdated: 0, message: 'No new data to sync' },
-        clean: { success: true, filesDeleted: 0 },
+        clean: cleanResult,
         success: true
       };
       
@@ -164,7 +428,7 @@ async function orchestrate() {
       console.log(`   📤 Synced: ${syncResult.totalRecords} records`);
       console.log(`   ✅ Test: ${testResult.success ? 'PASSED' : 'FAILED'}`);
       console.log(`   📝 Marked: 0 records (no new data)`);
-      console.log(`   🗑️ Cleaned: 0 files`);
+      console.log(`   🗑️ Cleaned: ${cleanResult.filesDeleted || 0} files`);
       console.log(`   ⏱️ Duration: ${Math.round((new Date() - startTime) / 1000)} seconds`);
       console.log(`   📝 Log: ${logFilename}`);
       
@@ -181,6 +445,11 @@ async function orchestrate() {
       console.error('🔍 About to return false from orchestrate...');
       return { success: false, step: 'mark', error: markResult.error };
     }
+    if (!isStepDone(state, 'mark')) {
+      const stopped = interrupted('mark');
+      if (stopped) return stopped;
+      await completeStep(state, 'mark', markResult);
+    }
     
     } catch (error) {
       console.error('❌ Error in mark step:', error);
@@ -188,12 +457,20 @@ async function orchestrate() {
     }
     
     // Step 5: Clean S3
+    lock.assertHeld();
     console.log('\n🗑️ Step 5: Clean S3');
-    const cleanResult = await cleanS3();
-    
-    if (!cleanResult.success) {
-      console.error('❌ Clean S3 failed');
-      return { success: false, step: 'clean', error: cleanResult.error };
+    let cleanResult;
+    if (isStepDone(state, 'clean')) {
+      cleanResult = state.results.clean;
+    } else {
+      await commitChangeWindow(workflowId, downloadResult, syncResult);
+      cleanResult = await cleanS3(workflowId);
+      
+      if (!cleanResult.success) {
+        console.error('❌ Clean S3 failed');
+        return { success: false, step: 'clean', error: cleanResult.error };
+      }
+      await completeStep(state, 'clean', cleanResult);
     }
     
     // Step 6: Save log
@@ -215,12 +492,16 @@ async function orchestrate() {
     };
     
     const logFilename = await saveTimestampLog(summary);
+    await completeStep(state, 'log', { logFilename });
     
     // Final summary
     console.log('\n🎉 Complete orchestration finished!');
     console.log('📊 Final Results:');
     console.log(`   📥 Downloaded: ${downloadResult.totalRecords} records`);
     console.log(`   📤 Synced: ${syncResult.totalRecords} records`);
+    if (syncResult.quarantinedCount) {
+      console.log(`   🚧 Quarantined: ${syncResult.quarantinedCount} records (log/quarantine/${workflowId}/)`);
+    }
     console.log(`   ✅ Test: ${testResult.success ? 'PASSED' : 'FAILED'}`);
     console.log(`   📝 Marked: ${markResult?.totalUpdated || 0} records`);
     console.log(`   🗑️ Cleaned: ${cleanResult.filesDeleted} files`);
@@ -252,21 +533,9 @@ async function orchestrate() {
   }
 }
 
+module.exports = { orchestrate, runStatus };
+
 if (require.main === module) {
-  orchestrate()
-    .then(result => {
-      if (result.success) {
-        console.log('✅ Complete orchestration finished successfully');
-        process.exit(0);
-      } else {
-        console.log('❌ Orchestration failed');
-        process.exit(1);
-      }
-    })
-    .catch(error => {
-      console.error('❌ Orchestration failed:', error);
-      process.exit(1);
-    });
+  // Same as: node cli.js run
+  require('./cli').runCommand(['run', ...process.argv.slice(2)]);
 }
-
-module.exports = { orchestrate };
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
+
+const { createOpenSearchClient } = require('./lib/opensearch_client');
+const {
+  READ_ALIAS,
+  ensureIndex,
+  listVersionedIndices,
+  parseVersion,
+  createVersionedIndex,
+  getEmbeddingDimension,
+  swapAliases
+} = require('./lib/opensearch_index');
+const { EMBEDDING_DIMENSION } = require('./lib/embeddings');
+const { newWorkflowId } = require('./lib/run_manifest');
+const { acquireRunLock } = require('./lib/run_lock');
+const { installSignalHandlers } = require('./lib/run_control');
+
+// Configuration
+const TASK_POLL_MS = 5000;
+const VECTOR_FIELDS = ['embedding', 'embedding_chunks']; // fields holding vectors of EMBEDDING_DIMENSION
+
+// Initialize OpenSearch client
+const osClient = createOpenSearchClient();
+
+// Wait for an async _reindex task to finish
+async function waitForTask(taskId) {
+  while (true) {
+    const response = await osClient.tasks.get({ task_id: taskId });
+    const { completed, task, error } = response.body;
+    const status = task.status || {};
+
+    if (completed) {
+      if (error) {
+        throw new Error(`Reindex task failed: ${JSON.stringify(error)}`);
+      }
+      const failures = (response.body.response && response.body.response.failures) || [];
+      if (failures.length > 0) {
+        throw new Error(`Reindex finished with ${failures.length} failures: ${JSON.stringify(failures[0])}`);
+      }
+      return status;
+    }
+
+    console.log(`📊 Reindex progress: ${status.created + status.updated || 0}/${status.total || '?'} docs`);
+    await new Promise(resolve => setTimeout(resolve, TASK_POLL_MS));
+  }
+}
+
+async function countDocs(index) {
+  await osClient.indices.refresh({ index });
+  const response = await osClient.count({ index });
+  return response.body.count;
+}
+
+// Blue/green reindex: build next version, backfill, verify, swap aliases.
+// Holds the run lock throughout, so no sync, replay, resync or backfill writes to the
+// source while it is copied — documents written meanwhile would be lost by the swap.
+async function reindex() {
+  const reindexId = `reindex-${newWorkflowId()}`;
+  const lock = await acquireRunLock(reindexId);
+  if (!lock.acquired) {
+    console.log(`🔒 Another run holds the lock (${lock.heldBy.owner}) — try again later`);
+    return { success: false, status: 'locked', heldBy: lock.heldBy };
+  }
+  installSignalHandlers(() => lock.release());
+
+  try {
+    console.log('🚀 Starting blue/green reindex...');
+
+    const current = await ensureIndex(osClient, { checkDimension: false });
+    const sourceIndex = current.index;
+    const sourceCountBefore = await countDocs(sourceIndex);
+
+    // Vectors of the old size cannot go into the new mapping (embedding, and the chunk
+    // vectors of EMBEDDING_MODE=chunks) — drop them and re-embed later
+    const sourceDimension = await getEmbeddingDimension(osClient, sourceIndex);
+    const dropEmbeddings = sourceDimension !== null && sourceDimension !== EMBEDDING_DIMENSION;
+    if (dropEmbeddings) {
+      console.log(`⚠️ Embedding dimension changes ${sourceDimension} → ${EMBEDDING_DIMENSION}: vectors will not be copied`);
+    }
+
+    const existing = await listVersionedIndices(osClient);
+    const latestVersion = existing.length > 0 ? parseVersion(existing[existing.length - 1]) : 0;
+    const targetIndex = await createVersionedIndex(osClient, latestVersion + 1);
+
+    console.log(`📦 Backfilling ${sourceIndex} → ${targetIndex}`);
+    const reindexResponse = await osClient.reindex({
+      wait_for_completion: false,
+      refresh: true,
+      body: {
+        source: { index: sourceIndex },
+        dest: { index: targetIndex, op_type: 'index' },
+        ...(dropEmbeddings && {
+          script: { lang: 'painless', source: VECTOR_FIELDS.map(field => `ctx._source.remove('${field}')`).join('; ') }
+        })
+      }
+    });
+    await waitForTask(reindexResponse.body.task);
+
+    // Verify counts before switching readers over: the source must not have changed
+    // during the copy (something wrote without the lock), and the target must match it
+    const sourceCount = await countDocs(sourceIndex);
+    const targetCount = await countDocs(targetIndex);
+    console.log(`📊 Source: ${sourceCountBefore} → ${sourceCount}, Target: ${targetCount}`);
+
+    if (sourceCount !== sourceCountBefore) {
+      console.error(`❌ ${sourceIndex} changed during the reindex (${sourceCountBefore} → ${sourceCount} docs) — aliases left on ${sourceIndex}, run it again`);
+      return {
+        success: false,
+        error: 'Source changed during reindex',
+        sourceIndex,
+        targetIndex,
+        sourceCount,
+        targetCount
+      };
+    }
+    if (targetCount !== sourceCount) {
+      console.error(`❌ Target has ${targetCount} documents, source ${sourceCount} — aliases left on ${sourceIndex}`);
+      return {
+        success: false,
+        error: 'Count mismatch after reindex',
+        sourceIndex,
+        targetIndex,
+        sourceCount,
+        targetCount
+      };
+    }
+
+    lock.assertHeld();
+    await swapAliases(osClient, sourceIndex, targetIndex);
+
+    console.log('🎉 Reindex completed!');
+    console.log(`🔗 ${READ_ALIAS} now points to ${targetIndex}`);
+    console.log(`💡 Old index ${sourceIndex} kept for rollback — delete it once verified`);
+    if (dropEmbeddings) {
+      console.log('💡 Documents have no vectors yet — run 09_backfill.js to re-embed them');
+    }
+
+    return {
+      success: true,
+      sourceIndex,
+      targetIndex,
+      sourceCount,
+      targetCount,
+      embeddingsDropped: dropEmbeddings
+    };
+
+  } catch (error) {
+    console.error('❌ Reindex failed:', error);
+    return { success: false, error: error.message };
+  } finally {
+    await lock.release();
+  }
+}
+
+module.exports = { reindex };
+
+if (require.main === module) {
+  // Same as: node cli.js reindex
+  require('./cli').runCommand(['reindex', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
+
+const { syncRecords, writeSyncLog, ensureIndex } = require('./02_sync');
+const { markAsSynced } = require('./04_mark_synced');
+const { createOpenSearchClient } = require('./lib/opensearch_client');
+const dlq = require('./lib/dlq');
+const { newWorkflowId } = require('./lib/run_manifest');
+const { acquireRunLock } = require('./lib/run_lock');
+const { installSignalHandlers } = require('./lib/run_control');
+const { requireValue, positiveInt, noValue, unknownArg } = require('./lib/cli_args');
+
+// Configuration
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Initialize clients
+const osClient = createOpenSearchClient();
+
+// Parse CLI: node 08_replay_dlq.js [workflowId] [--type=a,b] [--max-attempts=N] [--mark]
+function parseArgs(argv) {
+  const options = { workflowId: null, errorTypes: null, maxAttempts: DEFAULT_MAX_ATTEMPTS, mark: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--type': options.errorTypes = requireValue(flag, value).split(',').filter(Boolean); break;
+      case '--max-attempts': options.maxAttempts = positiveInt(flag, value); break;
+      case '--mark': options.mark = noValue(flag, value); break;
+      default:
+        if (arg.startsWith('-') || options.workflowId) throw unknownArg('replay-dlq', arg);
+        options.workflowId = arg;
+    }
+  }
+
+  return options;
+}
+
+// Re-drive DLQ entries through the same embedding + bulk path as syncFile
+async function replayDlq(options = {}) {
+  const {
+    workflowId = null,
+    errorTypes = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    mark = false
+  } = options;
+
+  const replayId = `replay-${newWorkflowId()}`;
+  let lock = null;
+  try {
+    console.log('🚀 Replaying dead-letter queue...');
+    console.log(`🔎 Workflow: ${workflowId || 'all'}, types: ${errorTypes ? errorTypes.join(',') : 'all'}, max attempts: ${maxAttempts}`);
+
+    const entries = await dlq.listEntries(workflowId);
+    const selected = entries.filter(entry =>
+      (!errorTypes || errorTypes.includes(entry.errorType)) && entry.record
+    );
+    const exhausted = selected.filter(entry => entry.attempts >= maxAttempts);
+    const replayable = selected.filter(entry => entry.attempts < maxAttempts);
+
+    console.log(`📊 DLQ entries: ${entries.length}, selected: ${selected.length}, exhausted: ${exhausted.length}`);
+
+    if (replayable.length === 0) {
+      console.log('✅ Nothing to replay');
+      return { success: true, replayed: 0, succeeded: 0, failed: 0, exhausted: exhausted.length };
+    }
+
+    // Shares the orchestrator's lock: a sync, reindex or --new-index backfill may be
+    // writing to (or about to swap) the same index
+    lock = await acquireRunLock(replayId);
+    if (!lock.acquired) {
+      console.log(`🔒 Another run holds the lock (${lock.heldBy.owner}) — try again later`);
+      return { success: false, status: 'locked', heldBy: lock.heldBy };
+    }
+    installSignalHandlers(() => lock.release());
+
+    const indexInfo = await ensureIndex();
+
+    // Group by workflow + target index so results land in that workflow's sync log / DLQ
+    // folder, and entries of a --new-index backfill go back to that index
+    const groups = new Map();
+    for (const entry of replayable) {
+      const key = `${entry.workflowId}\n${entry.index || ''}`;
+      if (!groups.has(key)) groups.set(key, { workflowId: entry.workflowId, index: entry.index || null, entries: [] });
+      groups.get(key).entries.push(entry);
+    }
+
+    let succeeded = 0;
+    let failed = 0;
+    let skipped = 0;
+    const replayedIds = [];
+
+    for (const { workflowId: entryWorkflowId, index, entries: group } of groups.values()) {
+      console.log(`\n📮 Workflow ${entryWorkflowId}: replaying ${group.length} entries${index ? ` into ${index}` : ''}`);
+
+      // Writing to a deleted index would recreate it with dynamic mappings
+      if (index && !(await osClient.indices.exists({ index })).body) {
+        console.log(`⚠️ Index ${index} no longer exists — entries left in the DLQ`);
+        skipped += group.length;
+        continue;
+      }
+
+      const result = await syncRecords(group.map(entry => entry.record), index ? { index } : {});
+      const stillFailing = new Set(result.dlqEntries.map(entry => entry.id));
+      // Tombstone entries are replayed as deletes and come back in deletedIds
+      const cleanIds = result.syncedIds.concat(result.deletedIds).filter(id => !stillFailing.has(id));
+
+      await dlq.resolveEntries(entryWorkflowId, cleanIds);
+      await dlq.putEntries(entryWorkflowId, result.dlqEntries);
+
+      const failedItems = result.failed.map(({ record, ...item }) => item);
+      if (result.syncedIds.length > 0 || result.deletedIds.length > 0 || failedItems.length > 0) {
+        const logIndex = index ? { writeAlias: index, index } : indexInfo;
+        await writeSyncLog(entryWorkflowId, logIndex, result.syncedIds, failedItems, result.deletedIds);
+      }
+
+      succeeded += cleanIds.length;
+      failed += stillFailing.size;
+
+      replayedIds.push(...result.syncedIds);
+    }
+
+    // Mark only what this replay indexed: markAsSynced() reads the IDs from a sync log,
+    // and the workflow's own logs also hold everything its original run synced
+    let marked = null;
+    if (mark && replayedIds.length > 0) {
+      lock.assertHeld();
+      await writeSyncLog(replayId, indexInfo, replayedIds, []);
+      marked = await markAsSynced(replayId);
+    }
+
+    console.log('\n🎉 Replay completed!');
+    console.log(`✅ Succeeded: ${succeeded}`);
+    console.log(`❌ Still failing: ${failed}`);
+    console.log(`⛔ Exhausted (>= ${maxAttempts} attempts): ${exhausted.length}`);
+    if (skipped > 0) console.log(`⚠️ Skipped (target index gone): ${skipped}`);
+
+    return {
+      success: true,
+      replayed: replayable.length,
+      succeeded,
+      failed,
+      exhausted: exhausted.length,
+      skipped,
+      marked: marked ? marked.totalUpdated || 0 : 0
+    };
+
+  } catch (error) {
+    console.error('❌ Replay failed:', error);
+    return { success: false, error: error.message };
+  } finally {
+    if (lock && lock.acquired) await lock.release();
+  }
+}
+
+module.exports = { replayDlq, parseArgs };
+
+if (require.main === module) {
+  // Same as: node cli.js replay-dlq
+  require('./cli').runCommand(['replay-dlq', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
+
+const { syncRecords, writeSyncLog } = require('./02_sync');
+const { markAsSynced } = require('./04_mark_synced');
+const { createOpenSearchClient } = require('./lib/opensearch_client');
+const {
+  ensureIndex,
+  listVersionedIndices,
+  parseVersion,
+  createVersionedIndex,
+  swapAliases
+} = require('./lib/opensearch_index');
+const { store } = require('./lib/staging_store');
+const {
+  supabase,
+  SOURCE_SCHEMA,
+  SOURCE_TABLE,
+  PRIMARY_KEY,
+  TIME_COLUMN,
+  RECORD_COLUMNS
+} = require('./lib/supabase_client');
+const { getConfig } = require('./lib/config');
+const { newWorkflowId } = require('./lib/run_manifest');
+const { acquireRunLock } = require('./lib/run_lock');
+const { stopRequested, installSignalHandlers, startStep } = require('./lib/run_control');
+const dlq = require('./lib/dlq');
+const { requireValue, positiveInt, noValue, unknownArg } = require('./lib/cli_args');
+
+// Configuration
+const { pageSize: PAGE_SIZE, partitions: DEFAULT_PARTITIONS, concurrency: DEFAULT_CONCURRENCY } = getConfig().backfill;
+const STATE_PREFIX = 'log/backfills/';
+
+// Initialize clients
+const osClient = createOpenSearchClient();
+
+// Parse CLI: node 09_backfill.js [--by=id|collected_at] [--from=X] [--to=Y] [--partitions=N]
+//   [--concurrency=N] [--new-index] [--no-swap] [--mark] [--resume[=backfillId]]
+function parseArgs(argv) {
+  const options = {
+    by: 'id',
+    from: null,
+    to: null,
+    partitions: DEFAULT_PARTITIONS,
+    concurrency: DEFAULT_CONCURRENCY,
+    newIndex: false,
+    swap: true,
+    mark: false,
+    resume: null
+  };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--by': options.by = requireValue(flag, value); break;
+      case '--from': options.from = requireValue(flag, value); break;
+      case '--to': options.to = requireValue(flag, value); break;
+      case '--partitions': options.partitions = positiveInt(flag, value); break;
+      case '--concurrency': options.concurrency = positiveInt(flag, value); break;
+      case '--new-index': options.newIndex = noValue(flag, value); break;
+      case '--no-swap': options.swap = !noValue(flag, value); break;
+      case '--mark': options.mark = noValue(flag, value); break;
+      case '--resume': options.resume = value || 'latest'; break;
+      default:
+        throw unknownArg('backfill', arg);
+    }
+  }
+
+  return options;
+}
+
+function stateKey(backfillId) {
+  return `${STATE_PREFIX}${backfillId}.json`;
+}
+
+async function loadBackfill(resume) {
+  if (resume !== 'latest') {
+    const content = await store.get(stateKey(resume));
+    return content === null ? null : JSON.parse(content);
+  }
+  const states = (await store.list(STATE_PREFIX))
+    .sort((a, b) => b.lastModified - a.lastModified);
+  for (const state of states) {
+    const backfill = JSON.parse(await store.get(state.key));
+    if (backfill.status !== 'completed') return backfill;
+  }
+  return null;
+}
+
+// Partition column: --by=id is the job's primary key, anything else its time column
+function columnOf(by) {
+  return by === 'id' ? PRIMARY_KEY : by;
+}
+
+// Rows of the range [from, to) in the partition column (null = unbounded)
+function inRange(query, column, from, to) {
+  if (from !== null) query = query.gte(column, from);
+  if (to !== null) query = query.lt(column, to);
+  return query;
+}
+
+// Smallest and largest value of the column inside the requested range
+async function sourceBounds(column, from, to) {
+  const edge = async ascending => {
+    const { data, error } = await inRange(
+      supabase.schema(SOURCE_SCHEMA).from(SOURCE_TABLE).select(column).not(column, 'is', null),
+      column, from, to
+    )
+      .order(column, { ascending })
+      .limit(1);
+    if (error) throw error;
+    return data.length > 0 ? data[0][column] : null;
+  };
+  const min = await edge(true);
+  return min === null ? null : { min, max: await edge(false) };
+}
+
+// Split [min, max] into up to `count` half-open ranges of equal width
+async function planPartitions(by, from, to, count) {
+  const bounds = await sourceBounds(columnOf(by), from, to);
+  if (!bounds) return [];
+
+  const numeric = by === 'id';
+  const lo = numeric ? Number(bounds.min) : Date.parse(bounds.min);
+  const hi = (numeric ? Number(bounds.max) : Date.parse(bounds.max)) + 1;
+  if (isNaN(lo) || isNaN(hi)) {
+    throw new Error(`Cannot split ${columnOf(by)} into ranges (${bounds.min} … ${bounds.max}) — --by=id needs a numeric primary key`);
+  }
+  const step = Math.max(1, Math.ceil((hi - lo) / count));
+  const format = value => numeric ? value : new Date(value).toISOString();
+
+  const partitions = [];
+  for (let start = lo; start < hi; start += step) {
+    partitions.push({
+      n: partitions.length + 1,
+      from: format(start),
+      // Last partition stays open so a max value with sub-millisecond precision is included
+      to: start + step >= hi ? to : format(start + step),
+      cursor: null,
+      status: 'pending',
+      records: 0,
+      synced: 0,
+      failed: 0
+    });
+  }
+  return partitions;
+}
+
+// Next page of a partition after its cursor: by id → { id }, by time column → { at, id }
+async function fetchPage(by, partition) {
+  let query = inRange(
+    supabase.schema(SOURCE_SCHEMA).from(SOURCE_TABLE).select(RECORD_COLUMNS),
+    columnOf(by), partition.from, partition.to
+  );
+  const cursor = partition.cursor;
+
+  if (by === 'id') {
+    if (cursor) query = query.gt(PRIMARY_KEY, cursor.id);
+    query = query.order(PRIMARY_KEY, { ascending: true });
+  } else {
+    if (cursor) {
+      query = query.or(`${by}.gt."${cursor.at}",and(${by}.eq."${cursor.at}",${PRIMARY_KEY}.gt."${cursor.id}")`);
+    }
+    query = query
+      .order(by, { ascending: true })
+      .order(PRIMARY_KEY, { ascending: true });
+  }
+
+  const { data, error } = await query.limit(PAGE_SIZE);
+  if (error) throw error;
+  return data;
+}
+
+// Page through one partition, checkpointing the cursor after every page
+async function runPartition(backfill, partition, context) {
+  partition.status = 'running';
+  await context.save();
+
+  while (true) {
+    const stopReason = context.shouldStop();
+    if (stopReason) {
+      partition.status = 'pending';
+      console.log(`⏹️ Partition ${partition.n} paused: ${stopReason}`);
+      return;
+    }
+
+    const records = await fetchPage(backfill.by, partition);
+    if (records.length === 0) break;
+
+    const result = await syncRecords(records, { index: backfill.index });
+    const stillFailing = new Set(result.dlqEntries.map(entry => entry.id));
+    await dlq.resolveEntries(backfill.backfillId, result.syncedIds.filter(id => !stillFailing.has(id)));
+    await dlq.putEntries(backfill.backfillId, result.dlqEntries);
+    if (backfill.mark && result.syncedIds.length > 0) {
+      const failedItems = result.failed.map(({ record, ...item }) => item);
+      await writeSyncLog(backfill.backfillId, context.indexInfo, result.syncedIds, failedItems);
+    }
+
+    const last = records[records.length - 1];
+    partition.cursor = backfill.by === 'id' ? { id: last.id } : { at: last[backfill.by], id: last.id };
+    partition.records += records.length;
+    partition.synced += result.syncedIds.length;
+    partition.failed += result.failed.length;
+    await context.save();
+
+    console.log(`📊 Partition ${partition.n}: ${partition.records} records (cursor ${JSON.stringify(partition.cursor)})`);
+  }
+
+  partition.status = 'done';
+  await context.save();
+  console.log(`✅ Partition ${partition.n} done: ${partition.synced}/${partition.records} synced`);
+}
+
+// Records of this backfill OpenSearch still rejects: its DLQ entries (they are resolved as
+// soon as a later page, resume or replay indexes them). Embedding failures were indexed.
+async function outstandingFailures(backfill) {
+  return (await dlq.listEntries(backfill.backfillId))
+    .filter(entry => entry.step !== 'embedding' && entry.record);
+}
+
+// Resume: re-run the records that failed before into the backfill's index, so a
+// transient error does not block the alias swap for good
+async function retryFailures(backfill, context) {
+  const entries = await outstandingFailures(backfill);
+  if (entries.length === 0) return;
+
+  console.log(`🔁 Retrying ${entries.length} failed records into ${backfill.index}`);
+  const result = await syncRecords(entries.map(entry => entry.record), { index: backfill.index });
+  const stillFailing = new Set(result.dlqEntries.map(entry => entry.id));
+  await dlq.resolveEntries(backfill.backfillId, result.syncedIds.filter(id => !stillFailing.has(id)));
+  await dlq.putEntries(backfill.backfillId, result.dlqEntries);
+  if (backfill.mark && result.syncedIds.length > 0) {
+    const failedItems = result.failed.map(({ record, ...item }) => item);
+    await writeSyncLog(backfill.backfillId, context.indexInfo, result.syncedIds, failedItems);
+  }
+}
+
+// Full backfill from Supabase, ignoring opensearch_sync.
+// options: { by: 'id' | <job time column, e.g. collected_at>, from, to, partitions, concurrency,
+//            newIndex (build the next index version, then swap aliases unless swap: false),
+//            mark (set opensearch_sync=true on what was indexed), resume (backfillId | 'latest') }
+async function backfill(options = {}) {
+  let backfillState = null;
+  if (options.resume) {
+    backfillState = await loadBackfill(options.resume);
+    if (!backfillState) {
+      console.error(`❌ No unfinished backfill to resume (${options.resume})`);
+      return { success: false, error: 'Nothing to resume' };
+    }
+  }
+
+  const backfillId = backfillState ? backfillState.backfillId : `backfill-${newWorkflowId()}`;
+
+  // Shares the orchestrator's lock: a cron sync must not write to the index meanwhile
+  const lock = await acquireRunLock(backfillId);
+  if (!lock.acquired) {
+    console.log(`🔒 Another run holds the lock (${lock.heldBy.owner}) — try again later`);
+    return { success: false, status: 'locked', heldBy: lock.heldBy };
+  }
+
+  let saving = Promise.resolve();
+  const save = () => {
+    // Workers finish pages concurrently; keep the writes in order
+    saving = saving.then(() => {
+      backfillState.updatedAt = new Date().toISOString();
+      return store.put(stateKey(backfillId), JSON.stringify(backfillState, null, 2));
+    });
+    return saving;
+  };
+
+  installSignalHandlers(async () => {
+    if (backfillState) {
+      backfillState.status = 'interrupted';
+      await save();
+    }
+    await lock.release();
+  });
+
+  try {
+    if (backfillState) {
+      const left = backfillState.partitions.filter(partition => partition.status !== 'done').length;
+      console.log(`♻️ Resuming backfill ${backfillId}: ${left}/${backfillState.partitions.length} partitions left`);
+      backfillState.status = 'running';
+    } else {
+      const by = options.by || 'id';
+      if (by !== 'id' && by !== TIME_COLUMN) {
+        return { success: false, error: `Unknown partition column: ${by} (use id${TIME_COLUMN ? ` or ${TIME_COLUMN}` : ''})` };
+      }
+
+      const current = await ensureIndex(osClient, { checkDimension: !options.newIndex });
+      let index = current.writeAlias;
+      if (options.newIndex) {
+        // Above every listed version and the index behind the aliases; an unversioned
+        // (legacy) index behind the aliases has no version of its own
+        const versions = (await listVersionedIndices(osClient)).map(parseVersion);
+        const currentVersion = parseVersion(current.index);
+        if (currentVersion !== null) versions.push(currentVersion);
+        const latestVersion = versions.length > 0 ? Math.max(...versions) : 0;
+        index = await createVersionedIndex(osClient, latestVersion + 1);
+      }
+
+      const from = options.from || null;
+      const to = options.to || null;
+      const partitions = await planPartitions(by, from, to, options.partitions || DEFAULT_PARTITIONS);
+
+      backfillState = {
+        backfillId,
+        status: 'running',
+        by,
+        from,
+        to,
+        index,
+        sourceIndex: current.index,
+        swap: Boolean(options.newIndex) && options.swap !== false,
+        mark: Boolean(options.mark),
+        createdAt: new Date().toISOString(),
+        partitions
+      };
+      console.log(`🚀 Backfill ${backfillId}: ${by} [${from ?? 'min'}, ${to ?? 'max'}) → ${index}, ${partitions.length} partitions`);
+    }
+    await save();
+
+    const context = {
+      save,
+      shouldStop: startStep('backfill'),
+      indexInfo: { writeAlias: backfillState.index, index: backfillState.index }
+    };
+
+    // Worker pool: each worker takes the next unfinished partition
+    const queue = backfillState.partitions.filter(partition => partition.status !== 'done');
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+    const worker = async () => {
+      while (queue.length > 0 && !context.shouldStop()) {
+        const partition = queue.shift();
+        try {
+          await runPartition(backfillState, partition, context);
+        } catch (error) {
+          // Other partitions carry on; this one resumes from its cursor next time
+          partition.status = 'failed';
+          partition.error = error.message;
+          await save();
+          console.error(`❌ Partition ${partition.n} failed:`, error.message);
+          if (error.code === 'CIRCUIT_OPEN') queue.length = 0;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const unfinished = backfillState.partitions.filter(partition => partition.status !== 'done');
+    if (options.resume && unfinished.length === 0 && !stopRequested()) {
+      await retryFailures(backfillState, context);
+    }
+
+    // Partition counters keep what failed along the way; what still blocks the swap is
+    // whatever is left in the DLQ (resolved by resume, or by 08_replay_dlq.js)
+    const totals = backfillState.partitions.reduce((sum, partition) => ({
+      records: sum.records + partition.records,
+      synced: sum.synced + partition.synced
+    }), { records: 0, synced: 0 });
+    totals.failed = (await outstandingFailures(backfillState)).length;
+
+    if (stopRequested()) {
+      backfillState.status = 'interrupted';
+      await save();
+      return { success: false, interrupted: true, backfillId, ...totals };
+    }
+    if (unfinished.length > 0) {
+      backfillState.status = 'failed';
+      await save();
+      console.error(`❌ ${unfinished.length} partitions unfinished — rerun with --resume=${backfillId}`);
+      return { success: false, backfillId, error: 'Unfinished partitions', unfinished: unfinished.map(p => p.n), ...totals };
+    }
+
+    let marked = null;
+    if (backfillState.mark) {
+      lock.assertHeld();
+      marked = await markAsSynced(backfillId);
+    }
+
+    if (backfillState.swap && !backfillState.swapped) {
+      await osClient.indices.refresh({ index: backfillState.index });
+      const targetCount = (await osClient.count({ index: backfillState.index })).body.count;
+      if (totals.failed > 0 || targetCount < totals.synced) {
+        backfillState.status = 'failed';
+        await save();
+        console.error(`❌ ${totals.failed} records failed (see DLQ ${backfillId}) — aliases left on ${backfillState.sourceIndex}`);
+        console.error(`💡 Fix them, then node 08_replay_dlq.js ${backfillId} (writes to ${backfillState.index}) and --resume=${backfillId}`);
+        return { success: false, backfillId, error: 'Backfill incomplete, aliases not swapped', targetCount, ...totals };
+      }
+      lock.assertHeld();
+      await swapAliases(osClient, backfillState.sourceIndex, backfillState.index);
+      backfillState.swapped = true;
+      console.log(`💡 Old index ${backfillState.sourceIndex} kept for rollback — delete it once verified`);
+    }
+
+    backfillState.status = 'completed';
+    backfillState.finishedAt = new Date().toISOString();
+    await save();
+
+    console.log('🎉 Backfill completed!');
+    console.log(`📊 Records: ${totals.records}, synced: ${totals.synced}, failed: ${totals.failed}`);
+    console.log(`🔗 Index: ${backfillState.index}${backfillState.swapped ? ' (aliases swapped)' : ''}`);
+
+    return {
+      success: true,
+      backfillId,
+      index: backfillState.index,
+      swapped: Boolean(backfillState.swapped),
+      marked: marked ? marked.totalUpdated : 0,
+      ...totals
+    };
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    if (backfillState) {
+      backfillState.status = 'failed';
+      await save();
+    }
+    return { success: false, backfillId, error: error.message };
+  } finally {
+    await saving.catch(() => {});
+    await lock.release();
+  }
+}
+
+module.exports = { backfill, parseArgs };
+
+if (require.main === module) {
+  // Same as: node cli.js backfill
+  require('./cli').runCommand(['backfill', ...process.argv.slice(2)]);
+}
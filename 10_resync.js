@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+// Run directly: check the config before the modules below read it (exit 78 when invalid)
+if (require.main === module) require('./cli').loadConfigOrExit();
+
+const fs = require('fs');
+const { syncRecords, writeSyncLog, ensureIndex } = require('./02_sync');
+const { markAsSynced } = require('./04_mark_synced');
+const { store } = require('./lib/staging_store');
+const {
+  supabase,
+  SOURCE_SCHEMA,
+  SOURCE_TABLE,
+  PRIMARY_KEY,
+  TIME_COLUMN,
+  RECORD_COLUMNS
+} = require('./lib/supabase_client');
+const { newWorkflowId, compareIds } = require('./lib/run_manifest');
+const { acquireRunLock } = require('./lib/run_lock');
+const { installSignalHandlers } = require('./lib/run_control');
+const { UsageError, requireValue, positiveInt, noValue, unknownArg } = require('./lib/cli_args');
+const { getConfig } = require('./lib/config');
+const dlq = require('./lib/dlq');
+
+// Configuration
+const PAGE_SIZE = 500;
+const DEFAULT_LIMIT = 10000; // keyword / date selections can be large — raise with --limit
+const JOB_COLUMNS = getConfig().job.columns;
+
+// IDs of an --ids-file: one per line (or comma separated)
+function readIdsFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split(/[\s,]+/).filter(Boolean);
+  } catch (error) {
+    throw new UsageError(`--ids-file ${file}: ${error.message}`);
+  }
+}
+
+// Parse CLI: node 10_resync.js [--ids=1,2,3] [--ids-file=path] [--keyword=X]
+//   [--from=<time>] [--to=<time>] [--limit=N] [--mark]
+// --from/--to filter the job's time column (collected_at for the default job)
+function parseArgs(argv) {
+  const options = { ids: null, keyword: null, from: null, to: null, limit: DEFAULT_LIMIT, mark: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--ids':
+        options.ids = (options.ids || []).concat(requireValue(flag, value).split(',').map(id => id.trim()).filter(Boolean));
+        break;
+      case '--ids-file':
+        options.ids = (options.ids || []).concat(readIdsFile(requireValue(flag, value)));
+        break;
+      case '--keyword': options.keyword = requireValue(flag, value); break;
+      case '--from': options.from = requireValue(flag, value); break;
+      case '--to': options.to = requireValue(flag, value); break;
+      case '--limit': options.limit = positiveInt(flag, value); break;
+      case '--mark': options.mark = noValue(flag, value); break;
+      default:
+        throw unknownArg('resync', arg);
+    }
+  }
+
+  return options;
+}
+
+// Flag misuse, caught before the lock is taken: cli.js turns the UsageError into exit 64
+function checkSelection({ ids, keyword, from, to }) {
+  if ((!ids || ids.length === 0) && !keyword && !from && !to) {
+    throw new UsageError('Nothing selected — pass --ids, --ids-file, --keyword or --from/--to');
+  }
+  if ((from || to) && !TIME_COLUMN) {
+    throw new UsageError('--from/--to need a timeColumn in the sync job');
+  }
+  if (keyword && !JOB_COLUMNS.includes('keyword')) {
+    throw new UsageError('--keyword needs a keyword column in the sync job');
+  }
+}
+
+function describeSelection({ ids, keyword, from, to }) {
+  const parts = [];
+  if (ids) parts.push(`${ids.length} IDs`);
+  if (keyword) parts.push(`keyword "${keyword}"`);
+  if (from || to) parts.push(`${TIME_COLUMN} [${from || 'min'}, ${to || 'max'})`);
+  return parts.join(', ');
+}
+
+// Rows matching the selection, in ID order. Filters combine (AND); IDs are looked up in chunks
+async function fetchRows(selection) {
+  const { ids, keyword, from, to, limit } = selection;
+  const rows = [];
+
+  const filtered = query => {
+    if (keyword) query = query.eq('keyword', keyword);
+    if (from) query = query.gte(TIME_COLUMN, from);
+    if (to) query = query.lt(TIME_COLUMN, to);
+    return query;
+  };
+
+  if (ids) {
+    for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+      const { data, error } = await filtered(
+        supabase.schema(SOURCE_SCHEMA).from(SOURCE_TABLE).select(RECORD_COLUMNS)
+      ).in(PRIMARY_KEY, ids.slice(i, i + PAGE_SIZE));
+      if (error) throw error;
+      rows.push(...data);
+    }
+    return rows.sort((a, b) => compareIds(a.id, b.id));
+  }
+
+  let lastId = null;
+  while (rows.length < limit) {
+    let query = filtered(
+      supabase.schema(SOURCE_SCHEMA).from(SOURCE_TABLE).select(RECORD_COLUMNS)
+    );
+    if (lastId !== null) query = query.gt(PRIMARY_KEY, lastId);
+    const { data, error } = await query
+      .order(PRIMARY_KEY, { ascending: true })
+      .limit(Math.min(PAGE_SIZE, limit - rows.length));
+    if (error) throw error;
+    if (data.length === 0) break;
+    rows.push(...data);
+    lastId = data[data.length - 1].id;
+  }
+  if (rows.length >= limit) {
+    console.log(`⚠️ Stopped at --limit=${limit} rows — narrow the selection or raise the limit`);
+  }
+  return rows;
+}
+
+// Re-sync selected rows through the same embedding + bulk path as syncFile.
+// Per-ID outcome: synced | synced_without_embedding | failed | not_found (requested ID not in Supabase).
+// options.mark re-marks synced rows as opensearch_sync=true. An empty selection, or a
+// filter the job has no column for, throws UsageError
+async function resync(options = {}) {
+  const selection = {
+    ids: options.ids ? Array.from(new Set(options.ids.map(String))) : null,
+    keyword: options.keyword || null,
+    from: options.from || null,
+    to: options.to || null,
+    limit: options.limit || DEFAULT_LIMIT
+  };
+
+  checkSelection(selection);
+
+  const resyncId = `resync-${newWorkflowId()}`;
+
+  // Shares the orchestrator's lock: a sync, reindex or --new-index backfill may be
+  // writing to (or about to swap) the same index
+  const lock = await acquireRunLock(resyncId);
+  if (!lock.acquired) {
+    console.log(`🔒 Another run holds the lock (${lock.heldBy.owner}) — try again later`);
+    return { success: false, status: 'locked', heldBy: lock.heldBy };
+  }
+  installSignalHandlers(() => lock.release());
+
+  try {
+    console.log(`🎯 Resync ${resyncId}: ${describeSelection(selection)}`);
+
+    const rows = await fetchRows(selection);
+    console.log(`📊 ${rows.length} rows found in Supabase`);
+
+    const outcomes = {};
+    if (selection.ids) {
+      const found = new Set(rows.map(row => String(row.id)));
+      selection.ids
+        .filter(id => !found.has(id))
+        .forEach(id => { outcomes[id] = { status: 'not_found' }; });
+    }
+
+    let result = { syncedIds: [], failed: [], dlqEntries: [] };
+    if (rows.length > 0) {
+      const indexInfo = await ensureIndex();
+      result = await syncRecords(rows);
+
+      await dlq.putEntries(resyncId, result.dlqEntries);
+      if (options.mark && result.syncedIds.length > 0) {
+        // markAsSynced() reads the IDs to mark from the sync log
+        const failedItems = result.failed.map(({ record, ...item }) => item);
+        await writeSyncLog(resyncId, indexInfo, result.syncedIds, failedItems);
+      }
+    }
+
+    const byId = new Map(result.dlqEntries.map(entry => [String(entry.id), entry]));
+    result.syncedIds.forEach(id => {
+      const entry = byId.get(String(id));
+      outcomes[id] = entry
+        ? { status: 'synced_without_embedding', reason: entry.reason }
+        : { status: 'synced' };
+    });
+    result.failed.forEach(item => {
+      outcomes[item.id] = { status: 'failed', type: item.type, reason: item.reason };
+    });
+
+    let marked = null;
+    if (options.mark && result.syncedIds.length > 0) {
+      lock.assertHeld();
+      marked = await markAsSynced(resyncId);
+    }
+
+    const counts = Object.values(outcomes).reduce((sum, outcome) => {
+      sum[outcome.status] = (sum[outcome.status] || 0) + 1;
+      return sum;
+    }, {});
+
+    const report = {
+      resyncId,
+      resyncedAt: new Date().toISOString(),
+      selection,
+      counts,
+      marked: marked ? marked.totalUpdated : 0,
+      outcomes
+    };
+    const reportPath = `log/resync_${resyncId}.json`;
+    await store.put(reportPath, JSON.stringify(report, null, 2));
+
+    console.log('\n🎉 Resync completed!');
+    for (const [id, outcome] of Object.entries(outcomes)) {
+      if (outcome.status !== 'synced') {
+        console.log(`   ${outcome.status === 'not_found' ? '❔' : '⚠️'} ${id}: ${outcome.status}${outcome.reason ? ` (${outcome.reason})` : ''}`);
+      }
+    }
+    console.log(`📊 ${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ') || 'nothing to do'}`);
+    if (marked) console.log(`📝 Marked: ${marked.totalUpdated} records`);
+    console.log(`📝 Report: ${reportPath}`);
+
+    return {
+      success: !counts.failed,
+      resyncId,
+      counts,
+      marked: report.marked,
+      outcomes,
+      report: reportPath
+    };
+
+  } catch (error) {
+    console.error('❌ Resync failed:', error);
+    return { success: false, error: error.message };
+  } finally {
+    await lock.release();
+  }
+}
+
+module.exports = { resync, parseArgs };
+
+if (require.main === module) {
+  // Same as: node cli.js resync
+  require('./cli').runCommand(['resync', ...process.argv.slice(2)]);
+}
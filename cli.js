@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+const { EXIT_CODES, exitCodeName } = require('./lib/exit_codes');
+const { ConfigError, loadConfig, isConfigLoaded, getConfig, describeConfig } = require('./lib/config');
+const { UsageError, requireValue, positiveInt } = require('./lib/cli_args');
+
+// One entry point for every step: node cli.js <command> [workflowId] [flags]
+//
+// The config (lib/config.js) is loaded with the shared flags as overrides before any
+// step module is required — those read their settings at load time. With several sync
+// jobs (SYNC_JOBS), `run` runs each in a child process (lib/job_runner.js) and every other
+// command needs --job.
+
+const USAGE = `Usage: node cli.js <command> [workflowId] [options]
+
+Commands:
+  download     Supabase → staging (unsynced rows, change capture)
+  sync         staging → OpenSearch
+  verify       check staged records against OpenSearch
+  mark         set opensearch_sync=true for synced IDs
+  clean        delete staged files and old logs
+  run          download → sync → verify → mark → clean (--abandon to drop an unfinished run),
+               every sync job in turn unless --job is given
+  status       last run, run lock, DLQ size, change capture watermark
+  config       effective settings and where each came from (secrets redacted)
+  reindex      copy into the next index version and swap aliases
+  replay-dlq   re-drive dead-letter entries (--type, --max-attempts, --mark)
+  backfill     partitioned re-export from Supabase (see README)
+  resync       re-sync selected rows (--ids, --keyword, --from/--to)
+
+Shared options:
+  --config=<file>    JSON settings file (SYNC_CONFIG_FILE), overridden by env and flags
+  --job=<name>       sync job to act on (SYNC_JOB), required with several SYNC_JOBS
+  --workflow=<id>    workflow to act on (default: latest)
+  --index=<base>     index base name (OPENSEARCH_INDEX_BASE)
+  --table=<name>     Supabase table (SUPABASE_TABLE)
+  --batch-size=<n>   records per staged file (backfill: rows per page)
+  --dry-run          show what would happen, write nothing
+  --help
+
+Exit codes: 0 success, 1 failure, 2 partial, 3 integrity, 64 usage, 75 locked, 78 config, 143 interrupted`;
+
+// Result of each command → exit code. Commands not listed here only know success / failure
+const COMMANDS = {
+  download: {
+    dryRun: true,
+    run: ({ workflowId, dryRun }) => require('./01_download').downloadToS3(workflowId, { dryRun }),
+    exitCode: result => (result.changeCapture && !result.changeCapture.complete ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS)
+  },
+  sync: {
+    dryRun: true,
+    run: ({ workflowId, dryRun }) => require('./02_sync').syncAll(workflowId, { dryRun }),
+    exitCode: result => {
+      if ((result.rejectedFiles || []).length > 0) return EXIT_CODES.INTEGRITY;
+      if (result.failedIdsCount || result.dlqCount || result.quarantinedCount || result.stoppedEarly) return EXIT_CODES.PARTIAL;
+      return EXIT_CODES.SUCCESS;
+    }
+  },
+  verify: {
+    dryRun: true, // read-only anyway
+    run: ({ workflowId }) => require('./03_test').testSync(workflowId),
+    failureCode: result => (isIntegrityFailure(result) ? EXIT_CODES.INTEGRITY : EXIT_CODES.FAILURE)
+  },
+  mark: {
+    dryRun: true,
+    run: ({ workflowId, dryRun }) => require('./04_mark_synced').markAsSynced(workflowId, { dryRun }),
+    exitCode: result => (result.failedIds || result.stoppedEarly ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS)
+  },
+  clean: {
+    dryRun: true,
+    run: ({ workflowId, dryRun }) => require('./05_clean_s3').cleanS3(workflowId, { dryRun })
+  },
+  run: {
+    dryRun: true,
+    flags: ['--abandon'],
+    run: ({ dryRun, args }) => require('./06_orchestrate').orchestrate({ dryRun, abandon: args.includes('--abandon') }),
+    exitCode: result => {
+      const summary = result.summary || {};
+      if (summary.test && !summary.test.success) {
+        return isIntegrityFailure(summary.test) ? EXIT_CODES.INTEGRITY : EXIT_CODES.PARTIAL;
+      }
+      if (summary.sync && (summary.sync.failedIdsCount || summary.sync.dlqCount || summary.sync.quarantinedCount)) return EXIT_CODES.PARTIAL;
+      return EXIT_CODES.SUCCESS;
+    },
+    failureCode: result => {
+      if (result.status === 'locked') return EXIT_CODES.LOCKED;
+      if (result.interrupted) return EXIT_CODES.INTERRUPTED;
+      return EXIT_CODES.FAILURE;
+    }
+  },
+  status: {
+    dryRun: true, // read-only anyway
+    run: () => require('./06_orchestrate').runStatus()
+  },
+  config: {
+    dryRun: true, // read-only anyway
+    run: () => showConfig()
+  },
+  reindex: {
+    run: () => require('./07_reindex').reindex(),
+    failureCode: result => {
+      if (result.status === 'locked') return EXIT_CODES.LOCKED;
+      return result.error === 'Count mismatch after reindex' ? EXIT_CODES.INTEGRITY : EXIT_CODES.FAILURE;
+    }
+  },
+  'replay-dlq': {
+    passArgs: true,
+    run: ({ workflowId, args }) => {
+      const { replayDlq, parseArgs } = require('./08_replay_dlq');
+      const options = parseArgs(args);
+      return replayDlq({ ...options, workflowId: workflowId || options.workflowId });
+    },
+    exitCode: result => (result.failed > 0 || result.skipped > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS),
+    failureCode: result => (result.status === 'locked' ? EXIT_CODES.LOCKED : EXIT_CODES.FAILURE)
+  },
+  backfill: {
+    passArgs: true,
+    run: ({ args }) => {
+      const { backfill, parseArgs } = require('./09_backfill');
+      return backfill(parseArgs(args));
+    },
+    exitCode: result => (result.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS),
+    failureCode: result => {
+      if (result.status === 'locked') return EXIT_CODES.LOCKED;
+      if (result.interrupted) return EXIT_CODES.INTERRUPTED;
+      if (result.unfinished || result.failed > 0) return EXIT_CODES.PARTIAL;
+      // Nothing failed yet the new index holds fewer docs than were synced
+      return result.targetCount !== undefined ? EXIT_CODES.INTEGRITY : EXIT_CODES.FAILURE;
+    }
+  },
+  resync: {
+    passArgs: true,
+    run: ({ args }) => {
+      const { resync, parseArgs } = require('./10_resync');
+      return resync(parseArgs(args));
+    },
+    failureCode: result => {
+      if (result.status === 'locked') return EXIT_CODES.LOCKED;
+      return result.counts && result.counts.failed ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+    }
+  }
+};
+
+// Verify found docs that are missing, different or duplicated — not just an unreachable cluster
+function isIntegrityFailure(result) {
+  return Boolean(
+    result.missing ||
+    (result.mismatched || []).length ||
+    result.duplicates ||
+    (result.undeletedIds || []).length
+  );
+}
+
+// Effective settings, one per line: NAME  value  (source)
+function showConfig() {
+  const settings = describeConfig();
+  const width = Math.max(...settings.map(setting => setting.env.length));
+  console.log('⚙️ Effective configuration');
+  settings.forEach(({ env, value, source }) => {
+    console.log(`   ${env.padEnd(width)}  ${value === null ? '-' : value}  (${source})`);
+  });
+  return { success: true, settings };
+}
+
+// Pull the shared flags out of argv; the rest is left for the command
+function parseSharedArgs(argv) {
+  const shared = { workflowId: null, configFile: null, dryRun: false, help: false, env: {} };
+  const rest = [];
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    const needsValue = () => requireValue(flag, value);
+    switch (flag) {
+      case '--workflow': shared.workflowId = needsValue(); break;
+      case '--config': shared.configFile = needsValue(); break;
+      case '--job': shared.env.SYNC_JOB = needsValue(); break;
+      case '--index': shared.env.OPENSEARCH_INDEX_BASE = needsValue(); break;
+      case '--table': shared.env.SUPABASE_TABLE = needsValue(); break;
+      case '--batch-size': shared.batchSize = String(positiveInt(flag, value)); break;
+      case '--dry-run': shared.dryRun = true; break;
+      case '--help':
+      case '-h':
+        shared.help = true;
+        break;
+      default:
+        rest.push(arg);
+    }
+  }
+
+  return { shared, rest };
+}
+
+// Parse argv, run the command, return { command, code, result }
+async function main(argv) {
+  const [name, ...argvRest] = argv;
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    console.log(USAGE);
+    return { command: null, code: name ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE };
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`❌ Unknown command: ${name}\n`);
+    console.log(USAGE);
+    return { command: name, code: EXIT_CODES.USAGE };
+  }
+
+  let parsed;
+  try {
+    parsed = parseSharedArgs(argvRest);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`❌ ${error.message}`);
+    return { command: name, code: EXIT_CODES.USAGE };
+  }
+  const { shared, rest } = parsed;
+  if (shared.help) {
+    console.log(USAGE);
+    return { command: name, code: EXIT_CODES.SUCCESS };
+  }
+
+  if (shared.dryRun && !command.dryRun) {
+    console.error(`❌ ${name} does not support --dry-run`);
+    return { command: name, code: EXIT_CODES.USAGE };
+  }
+
+  // First positional is the workflow ID for the step commands
+  const args = [];
+  for (const arg of rest) {
+    if (!command.passArgs && !arg.startsWith('--') && !shared.workflowId) {
+      shared.workflowId = arg;
+    } else if (!command.passArgs && arg.startsWith('--') && !(command.flags || []).includes(arg)) {
+      console.error(`❌ Unknown option for ${name}: ${arg}`);
+      return { command: name, code: EXIT_CODES.USAGE };
+    } else {
+      args.push(arg);
+    }
+  }
+
+  if (shared.batchSize) {
+    shared.env[name === 'backfill' ? 'BACKFILL_PAGE_SIZE' : 'RECORDS_PER_FILE'] = shared.batchSize;
+  }
+  try {
+    if (!isConfigLoaded()) {
+      loadConfig({ file: shared.configFile, overrides: shared.env });
+    } else if (shared.configFile || Object.keys(shared.env).length > 0) {
+      // Started as node 0X_*.js: the step modules have already read their settings
+      console.error('❌ --config, --job, --index, --table and --batch-size only work through cli.js');
+      return { command: name, code: EXIT_CODES.USAGE };
+    }
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    return { command: name, code: EXIT_CODES.CONFIG };
+  }
+
+  // Several jobs and none picked: run fans out, the other commands act on one job only
+  const { job, jobs } = getConfig();
+  if (!job && name === 'run') {
+    const result = await require('./lib/job_runner').runJobs(Object.keys(jobs), argvRest);
+    return { command: name, code: result.code, result };
+  }
+  if (!job && name !== 'config') {
+    console.error(`❌ ${severalJobsMessage(jobs)}`);
+    return { command: name, code: EXIT_CODES.USAGE };
+  }
+
+  let result;
+  try {
+    result = await command.run({ workflowId: shared.workflowId, dryRun: shared.dryRun, args });
+  } catch (error) {
+    // Flags of replay-dlq / backfill / resync are parsed here, once their module is loaded
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      return { command: name, code: EXIT_CODES.USAGE };
+    }
+    console.error(`❌ ${name} failed:`, error);
+    return { command: name, code: EXIT_CODES.FAILURE, error };
+  }
+
+  let code;
+  if (result.success) {
+    code = command.exitCode ? command.exitCode(result) : EXIT_CODES.SUCCESS;
+  } else {
+    code = command.failureCode ? command.failureCode(result) : EXIT_CODES.FAILURE;
+  }
+  return { command: name, code, result };
+}
+
+function severalJobsMessage(jobs) {
+  return `Several sync jobs configured (${Object.keys(jobs).join(', ')}) — pass --job=<name> or set SYNC_JOB`;
+}
+
+// node 0X_*.js: load the config before the step module's requires read it, so an
+// invalid config exits 78 with the problems listed instead of a stack trace. A step
+// works on one job: several SYNC_JOBS and no SYNC_JOB exits 64 like cli.js does.
+function loadConfigOrExit() {
+  try {
+    if (!isConfigLoaded()) loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  const { job, jobs } = getConfig();
+  if (!job) {
+    console.error(`❌ ${severalJobsMessage(jobs)}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+// Run one command and exit with its code (used by cli.js and the numbered scripts)
+function runCommand(argv) {
+  return main(argv).then(({ command, code, result }) => {
+    if (result) {
+      const icon = code === EXIT_CODES.SUCCESS ? '✅' : code === EXIT_CODES.PARTIAL ? '⚠️' : '❌';
+      console.log(`${icon} ${command}: ${exitCodeName(code)} (exit ${code})`);
+    }
+    process.exit(code);
+  }, error => {
+    console.error('❌ Unexpected error:', error);
+    process.exit(EXIT_CODES.FAILURE);
+  });
+}
+
+if (require.main === module) {
+  runCommand(process.argv.slice(2));
+}
+
+module.exports = { COMMANDS, main, runCommand, loadConfigOrExit };
@@ -0,0 +1,204 @@
+// Change capture: re-export rows edited after they were synced, and turn rows deleted
+// in Supabase into OpenSearch deletes, so the index converges to the table
+//
+//   state/change_capture.json → { changedAt, deletedAt, workflowId, committedAt }
+//
+// Each run reads a fixed window [watermark, ceiling] where the ceiling is the table's
+// max(updated_at) / max(deleted_at) when the download starts, but no later than
+// CHANGE_CAPTURE_SAFETY_LAG_MS ago: now() is the transaction start, so a slow transaction
+// can commit rows older than a ceiling already read. The lag also has to cover clock skew
+// between this host and Postgres. The lower bound is inclusive, so rows stamped exactly at
+// the watermark are re-read (upserts are idempotent). The watermark only moves to the
+// ceiling once the run has synced and marked everything in it, so a failed or stopped run
+// re-reads the same window next time.
+//
+// Every row edited in the window is re-exported, synced or not: a row edited while its
+// first sync was in flight must not be skipped, and the normal download staging the same
+// row again is harmless.
+//
+// Deletions come from a tombstone table filled by an AFTER DELETE trigger (see README).
+// Tombstones are staged as { id, _deleted: true, deleted_at } and become bulk deletes.
+// The source and tombstone tables and the updated_at column are the sync job's (lib/sync_jobs.js).
+
+const { store } = require('./staging_store');
+const { SOURCE_SCHEMA, SOURCE_TABLE, PRIMARY_KEY } = require('./supabase_client');
+const { getConfig } = require('./config');
+
+const { enabled: ENABLED, safetyLagMs: SAFETY_LAG_MS } = getConfig().changeCapture;
+const { tombstoneTable: TOMBSTONE_TABLE, updatedAtColumn: UPDATED_AT_COLUMN, columns: JOB_COLUMNS } = getConfig().job;
+const WATERMARK_KEY = 'state/change_capture.json';
+
+function isEnabled() {
+  return ENABLED;
+}
+
+function isTombstone(record) {
+  return record._deleted === true;
+}
+
+async function loadWatermark() {
+  const content = await store.get(WATERMARK_KEY);
+  return content === null ? null : JSON.parse(content);
+}
+
+async function saveWatermark(watermark) {
+  await store.put(WATERMARK_KEY, JSON.stringify(watermark, null, 2));
+  return watermark;
+}
+
+// Latest value of a timestamp column, as Postgres returned it (no Date round trip,
+// which would drop the microseconds the keyset compares against)
+async function maxTimestamp(supabase, table, column) {
+  const { data, error } = await supabase
+    .schema(SOURCE_SCHEMA)
+    .from(table)
+    .select(column)
+    .not(column, 'is', null)
+    .order(column, { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data.length > 0 ? data[0][column] : null;
+}
+
+// Ceiling of a window: the latest value, held back by the safety lag, never below the
+// watermark (the window is then empty and the watermark stays put)
+function ceilingOf(latest, after, now) {
+  if (latest === null) return after;
+  let until = latest;
+  if (Date.parse(until) > now - SAFETY_LAG_MS) {
+    until = new Date(now - SAFETY_LAG_MS).toISOString();
+  }
+  if (after !== null && after !== undefined && Date.parse(until) < Date.parse(after)) {
+    return after;
+  }
+  return until;
+}
+
+// Window for this run. First run ever: start from the current ceilings instead of
+// re-exporting the whole table (that is what a backfill is for). options.dryRun does
+// not record that starting point.
+async function openWindow(supabase, options = {}) {
+  const [latestChanged, latestDeleted] = await Promise.all([
+    maxTimestamp(supabase, SOURCE_TABLE, UPDATED_AT_COLUMN),
+    maxTimestamp(supabase, TOMBSTONE_TABLE, 'deleted_at')
+  ]);
+
+  let watermark = await loadWatermark();
+  const now = Date.now();
+  const changedUntil = ceilingOf(latestChanged, watermark && watermark.changedAt, now);
+  const deletedUntil = ceilingOf(latestDeleted, watermark && watermark.deletedAt, now);
+  if (!watermark) {
+    watermark = {
+      changedAt: changedUntil,
+      deletedAt: deletedUntil,
+      workflowId: null,
+      committedAt: new Date().toISOString()
+    };
+    if (!options.dryRun) await saveWatermark(watermark);
+    console.log(`🆕 Change capture starts from ${UPDATED_AT_COLUMN} ${changedUntil}, deleted_at ${deletedUntil}`);
+  }
+
+  return {
+    changed: { after: watermark.changedAt, until: changedUntil },
+    deleted: { after: watermark.deletedAt, until: deletedUntil }
+  };
+}
+
+// Page cursor inside a window: { at, id } of the last row read (id null = window start,
+// inclusive). Rows are ordered by (column, key) because one bulk UPDATE gives many rows
+// the same timestamp.
+function pageAfter(query, column, key, cursor, until) {
+  if (cursor.at !== null) {
+    query = cursor.id === null
+      ? query.gte(column, cursor.at)
+      : query.or(`${column}.gt."${cursor.at}",and(${column}.eq."${cursor.at}",${key}.gt."${cursor.id}")`);
+  }
+  return query
+    .lte(column, until)
+    .order(column, { ascending: true })
+    .order(key, { ascending: true });
+}
+
+// Nothing past the watermark: skip instead of re-reading its boundary rows every run
+// (they are read again, inclusively, as soon as the window moves on)
+function isEmpty(range) {
+  return range.until === null || range.until === range.after;
+}
+
+function windowStart(range) {
+  return { at: range.after, id: null };
+}
+
+// Rows edited inside the window.
+// Returns { records, cursor } — records have the same shape as the normal download
+async function fetchChanged(supabase, columns, range, cursor, limit) {
+  if (isEmpty(range)) return { records: [], cursor };
+
+  const keepColumn = JOB_COLUMNS.includes(UPDATED_AT_COLUMN);
+  const { data, error } = await pageAfter(
+    supabase
+      .schema(SOURCE_SCHEMA)
+      .from(SOURCE_TABLE)
+      .select(keepColumn ? columns : `${columns}, ${UPDATED_AT_COLUMN}`),
+    UPDATED_AT_COLUMN, PRIMARY_KEY, cursor, range.until
+  ).limit(limit);
+  if (error) throw error;
+  if (data.length === 0) return { records: [], cursor };
+
+  const last = data[data.length - 1];
+  return {
+    records: data.map(row => {
+      if (keepColumn) return row;
+      const { [UPDATED_AT_COLUMN]: changedAt, ...record } = row;
+      return record;
+    }),
+    cursor: { at: last[UPDATED_AT_COLUMN], id: last.id }
+  };
+}
+
+// Tombstones inside the window
+async function fetchTombstones(supabase, range, cursor, limit) {
+  if (isEmpty(range)) return { records: [], cursor };
+
+  const { data, error } = await pageAfter(
+    supabase
+      .schema(SOURCE_SCHEMA)
+      .from(TOMBSTONE_TABLE)
+      .select('id, deleted_at'),
+    'deleted_at', 'id', cursor, range.until
+  ).limit(limit);
+  if (error) throw error;
+  if (data.length === 0) return { records: [], cursor };
+
+  const last = data[data.length - 1];
+  return {
+    records: data.map(row => ({ id: row.id, _deleted: true, deleted_at: row.deleted_at })),
+    cursor: { at: last.deleted_at, id: last.id }
+  };
+}
+
+// Move the watermark to the end of a fully synced window
+async function commitWindow(window, workflowId) {
+  const watermark = await saveWatermark({
+    changedAt: window.changed.until,
+    deletedAt: window.deleted.until,
+    workflowId,
+    committedAt: new Date().toISOString()
+  });
+  console.log(`📌 Change capture watermark → ${UPDATED_AT_COLUMN} ${watermark.changedAt}, deleted_at ${watermark.deletedAt}`);
+  return watermark;
+}
+
+module.exports = {
+  WATERMARK_KEY,
+  TOMBSTONE_TABLE,
+  UPDATED_AT_COLUMN,
+  isEnabled,
+  isTombstone,
+  loadWatermark,
+  openWindow,
+  windowStart,
+  fetchChanged,
+  fetchTombstones,
+  commitWindow
+};
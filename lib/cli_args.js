@@ -0,0 +1,31 @@
+// Flag parsing helpers shared by cli.js and the commands that take their own flags
+// (replay-dlq, backfill, resync). A bad flag throws UsageError, which cli.js turns into
+// exit code 64 with the message — never a silently ignored or NaN option.
+
+class UsageError extends Error {}
+
+// --flag=value → value; a missing or empty value is a usage error
+function requireValue(flag, value) {
+  if (!value) throw new UsageError(`${flag} needs a value (${flag}=...)`);
+  return value;
+}
+
+// --flag=N → N, a positive integer
+function positiveInt(flag, value) {
+  if (!/^[1-9]\d*$/.test(requireValue(flag, value))) {
+    throw new UsageError(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+// Switches (--mark, --new-index, ...) take no value
+function noValue(flag, value) {
+  if (value !== undefined) throw new UsageError(`${flag} takes no value, got ${flag}=${value}`);
+  return true;
+}
+
+function unknownArg(command, arg) {
+  return new UsageError(`Unknown ${arg.startsWith('-') ? 'option' : 'argument'} for ${command}: ${arg}`);
+}
+
+module.exports = { UsageError, requireValue, positiveInt, noValue, unknownArg };
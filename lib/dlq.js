@@ -0,0 +1,97 @@
+// Dead-letter store for records that failed embedding or indexing
+//
+//   log/dlq/<workflowId>/<recordId>.json
+//
+// Lives under log/ so 05_clean_s3.js never deletes it. Each entry keeps the original
+// record so 08_replay_dlq.js can re-drive it through the normal sync path. Entries of a
+// --new-index backfill keep the index they were written to, so replay fills that index
+// rather than the write alias.
+
+const { store } = require('./staging_store');
+
+const DLQ_PREFIX = 'log/dlq/';
+const DEFAULT_WORKFLOW = 'manual';
+
+function entryKey(workflowId, id) {
+  return `${DLQ_PREFIX}${workflowId || DEFAULT_WORKFLOW}/${id}.json`;
+}
+
+async function listKeys(prefix) {
+  return (await store.list(prefix)).map(obj => obj.key);
+}
+
+async function readEntry(key) {
+  const content = await store.get(key);
+  return content === null ? null : JSON.parse(content);
+}
+
+// Write (or bump the attempt count of) one entry per failed record.
+// entries: [{ id, record, step, type, status, reason, index }] (index: null = write alias)
+// options.countAttempt = false refreshes existing entries without bumping attempts
+// (verify re-syncs within the same run are not new attempts)
+async function putEntries(workflowId, entries, options = {}) {
+  const countAttempt = options.countAttempt !== false;
+  const now = new Date().toISOString();
+
+  for (const entry of entries) {
+    const key = entryKey(workflowId, entry.id);
+    const existing = await readEntry(key);
+
+    const body = {
+      workflowId: workflowId || DEFAULT_WORKFLOW,
+      id: entry.id,
+      step: entry.step,
+      errorType: entry.type,
+      status: entry.status ?? null,
+      reason: entry.reason,
+      index: entry.index ?? null,
+      attempts: existing ? existing.attempts + (countAttempt ? 1 : 0) : 1,
+      firstFailedAt: existing ? existing.firstFailedAt : now,
+      lastFailedAt: now,
+      record: entry.record
+    };
+
+    await store.put(key, JSON.stringify(body, null, 2));
+  }
+
+  if (entries.length > 0) {
+    console.log(`📮 DLQ: ${entries.length} entries written to ${DLQ_PREFIX}${workflowId || DEFAULT_WORKFLOW}/`);
+  }
+}
+
+// All entries, optionally limited to one workflow
+async function listEntries(workflowId = null) {
+  const prefix = workflowId ? `${DLQ_PREFIX}${workflowId}/` : DLQ_PREFIX;
+  const keys = await listKeys(prefix);
+  const entries = [];
+
+  for (const key of keys) {
+    const entry = await readEntry(key);
+    if (entry) entries.push({ ...entry, key });
+  }
+
+  return entries;
+}
+
+// Drop entries for records that have since synced cleanly
+async function resolveEntries(workflowId, ids) {
+  if (ids.length === 0) return 0;
+
+  const wanted = new Set(ids.map(id => entryKey(workflowId, id)));
+  const keys = (await listKeys(`${DLQ_PREFIX}${workflowId || DEFAULT_WORKFLOW}/`))
+    .filter(key => wanted.has(key));
+
+  await store.delete(keys);
+  if (keys.length > 0) {
+    console.log(`📮 DLQ: resolved ${keys.length} entries`);
+  }
+  return keys.length;
+}
+
+module.exports = {
+  DLQ_PREFIX,
+  entryKey,
+  putEntries,
+  listEntries,
+  resolveEntries
+};
@@ -0,0 +1,85 @@
+// Content-addressed embedding cache
+//
+// Key = sha256(model + text). Backends:
+//   store → <staging store>/embedding-cache/<model>/<ab>/<hash>.json  (default; "s3" is an alias)
+//   local → <EMBEDDING_CACHE_DIR>/<model>/<ab>/<hash>.json
+//   off   → no caching
+//
+// 05_clean_s3.js keeps the embedding-cache/ prefix so vectors survive between runs.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { store } = require('./staging_store');
+const { getConfig } = require('./config');
+
+const { cache: CACHE_BACKEND, cacheDir: CACHE_DIR } = getConfig().embedding;
+const CACHE_PREFIX = 'embedding-cache/';
+
+function cacheKey(model, text) {
+  return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+}
+
+function relativePath(model, key) {
+  return `${model}/${key.slice(0, 2)}/${key}.json`;
+}
+
+async function getStore(model, key) {
+  const content = await store.get(CACHE_PREFIX + relativePath(model, key));
+  return content === null ? null : JSON.parse(content).embedding;
+}
+
+async function putStore(model, key, embedding) {
+  await store.put(CACHE_PREFIX + relativePath(model, key), JSON.stringify({ model, embedding }));
+}
+
+async function getLocal(model, key) {
+  try {
+    const content = await fs.readFile(path.join(CACHE_DIR, relativePath(model, key)), 'utf8');
+    return JSON.parse(content).embedding;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function putLocal(model, key, embedding) {
+  const filePath = path.join(CACHE_DIR, relativePath(model, key));
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ model, embedding }));
+}
+
+const backends = {
+  store: { get: getStore, put: putStore },
+  s3: { get: getStore, put: putStore },
+  local: { get: getLocal, put: putLocal },
+  off: { get: async () => null, put: async () => {} }
+};
+
+function backend() {
+  const selected = backends[CACHE_BACKEND];
+  if (!selected) {
+    throw new Error(`Unknown EMBEDDING_CACHE backend: ${CACHE_BACKEND}`);
+  }
+  return selected;
+}
+
+// Cache failures never fail the sync — a miss just means paying for the vector again
+async function get(model, key) {
+  try {
+    return await backend().get(model, key);
+  } catch (error) {
+    console.error(`⚠️ Embedding cache read failed: ${error.message}`);
+    return null;
+  }
+}
+
+async function put(model, key, embedding) {
+  try {
+    await backend().put(model, key, embedding);
+  } catch (error) {
+    console.error(`⚠️ Embedding cache write failed: ${error.message}`);
+  }
+}
+
+module.exports = { CACHE_PREFIX, cacheKey, get, put };
@@ -0,0 +1,168 @@
+// Embedding providers, selected by EMBEDDING_PROVIDER
+//
+//   openai             → api.openai.com (OPENAI_API_KEY)
+//   openai-compatible  → any server speaking POST <EMBEDDING_BASE_URL>/embeddings
+//   hash               → deterministic feature hashing, no network (local dev / CI)
+//   none               → no vectors (documents indexed without embedding)
+//
+// Every provider exposes { name, model, dimension, cacheable, embed(inputs) → vectors }.
+
+const crypto = require('crypto');
+
+// Known dimensions for OpenAI models (others must set EMBEDDING_DIMENSION)
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+const DEFAULT_DIMENSION = 1536;
+const HASH_NGRAM = 3;
+
+function resolveDimension(model, configured) {
+  return configured || MODEL_DIMENSIONS[model] || null;
+}
+
+// Retry-After (seconds or HTTP date) / retry-after-ms → milliseconds, or null
+function parseRetryAfter(headers) {
+  const ms = headers.get('retry-after-ms');
+  if (ms && !isNaN(Number(ms))) return Number(ms);
+
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  if (!isNaN(Number(value))) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// POST /embeddings in the OpenAI wire format; results come back in input order.
+// HTTP errors carry .status and .retryAfterMs so the caller can classify them.
+function createHttpProvider({ name, baseUrl, apiKey, model, dimension }) {
+  if (!dimension) {
+    throw new Error(`EMBEDDING_DIMENSION is required for model ${model}`);
+  }
+
+  return {
+    name,
+    model,
+    dimension,
+    cacheable: true,
+    async embed(inputs) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+      const resp = await fetch(`${baseUrl.replace(/\/$/, '')}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, input: inputs })
+      });
+      if (!resp.ok) {
+        const error = new Error(`${name} API error ${resp.status}: ${await resp.text()}`);
+        error.status = resp.status;
+        error.retryAfterMs = parseRetryAfter(resp.headers);
+        throw error;
+      }
+
+      const data = await resp.json();
+      if (!data.data || data.data.length !== inputs.length) {
+        throw new Error(`${name} API error: ` + JSON.stringify(data));
+      }
+
+      const vectors = data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+      if (vectors[0].length !== dimension) {
+        const error = new Error(`${name} returned ${vectors[0].length} dims, expected ${dimension}`);
+        error.permanent = true;
+        throw error;
+      }
+      return vectors;
+    }
+  };
+}
+
+// Character n-gram feature hashing, L2-normalised. Same text → same vector, and
+// texts sharing substrings land close together, which is enough to exercise k-NN.
+function hashVector(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const padded = ` ${text.toLowerCase()} `;
+
+  for (let i = 0; i + HASH_NGRAM <= padded.length; i++) {
+    const digest = crypto.createHash('md5').update(padded.slice(i, i + HASH_NGRAM)).digest();
+    const bucket = digest.readUInt32LE(0) % dimension;
+    vector[bucket] += (digest[4] & 1) ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) {
+    vector[0] = 1; // cosine similarity rejects zero vectors
+    return vector;
+  }
+  return vector.map(v => v / norm);
+}
+
+function createHashProvider({ dimension }) {
+  return {
+    name: 'hash',
+    model: `hash-ngram${HASH_NGRAM}-${dimension}`,
+    dimension,
+    cacheable: false,
+    async embed(inputs) {
+      return inputs.map(text => hashVector(text, dimension));
+    }
+  };
+}
+
+function createNoneProvider({ dimension }) {
+  return {
+    name: 'none',
+    model: 'none',
+    dimension,
+    cacheable: false,
+    async embed() {
+      throw new Error('Embedding provider is disabled');
+    }
+  };
+}
+
+// Build the provider from the embedding config (lib/config.js; provider defaults to
+// openai when OPENAI_API_KEY is set)
+function createProvider(options) {
+  const name = options.provider;
+
+  switch (name) {
+    case 'openai': {
+      const model = options.model || 'text-embedding-3-small';
+      return createHttpProvider({
+        name,
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: options.openaiApiKey,
+        model,
+        dimension: resolveDimension(model, options.dimension)
+      });
+    }
+    case 'openai-compatible': {
+      if (!options.baseUrl) {
+        throw new Error('EMBEDDING_BASE_URL is required for EMBEDDING_PROVIDER=openai-compatible');
+      }
+      const model = options.model;
+      if (!model) {
+        throw new Error('EMBEDDING_MODEL is required for EMBEDDING_PROVIDER=openai-compatible');
+      }
+      return createHttpProvider({
+        name,
+        baseUrl: options.baseUrl,
+        apiKey: options.apiKey,
+        model,
+        dimension: resolveDimension(model, options.dimension)
+      });
+    }
+    case 'hash':
+      return createHashProvider({ dimension: resolveDimension(null, options.dimension) || DEFAULT_DIMENSION });
+    case 'none':
+      return createNoneProvider({ dimension: resolveDimension(null, options.dimension) || DEFAULT_DIMENSION });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${name}`);
+  }
+}
+
+module.exports = { createProvider, hashVector };
@@ -0,0 +1,256 @@
+// Embedding generation: batched provider requests + content-addressed cache
+//
+// The text is the sync job's embeddingFields (ad_name + ad_caption by default): the last
+// field is the body, the others a prefix kept whole. EMBEDDING_MODE decides how it becomes vectors:
+//   truncate → one vector of prefix + body cut to the token limit (default)
+//   pooled   → body split into overlapping chunks, chunk vectors averaged into `embedding`
+//   chunks   → as pooled, plus every chunk vector kept in nested `embedding_chunks`
+
+const cache = require('./embedding_cache');
+const { createProvider } = require('./embedding_providers');
+const { countTokens, truncateToTokens, splitIntoChunks } = require('./tokenizer');
+const { sleep, backoffDelay } = require('./retry');
+const { createRateLimiter } = require('./rate_limiter');
+const { getConfig } = require('./config');
+
+// Configuration
+const config = getConfig().embedding;
+const provider = createProvider(config);
+const EMBEDDING_MODE = config.mode;
+const MAX_INPUT_TOKENS = config.maxTokens; // model limit is 8191
+const CHUNK_TOKENS = config.chunkTokens;
+const CHUNK_OVERLAP_TOKENS = config.chunkOverlap;
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+const REQUESTS_PER_MINUTE = config.rpm;
+const TOKENS_PER_MINUTE = config.tpm;
+const MAX_BATCH_ITEMS = 256; // API allows 2048 inputs per request
+const MAX_BATCH_TOKENS = 250000; // API allows 300k tokens per request
+const EMBEDDING_FIELDS = getConfig().job.embeddingFields;
+const PREFIX_FIELDS = EMBEDDING_FIELDS.slice(0, -1);
+const BODY_FIELD = EMBEDDING_FIELDS[EMBEDDING_FIELDS.length - 1];
+
+// One limiter per process: every embedding call in a run shares the quota
+const limiter = createRateLimiter({ requestsPerMinute: REQUESTS_PER_MINUTE, tokensPerMinute: TOKENS_PER_MINUTE });
+
+const stats = {
+  requested: 0,
+  cacheHits: 0,
+  embedded: 0,
+  requests: 0,
+  billedTokens: 0,
+  rateLimited: 0,
+  failedFast: 0
+};
+
+// Prefix fields joined (ad_name for the default job)
+function embeddingPrefix(record) {
+  return PREFIX_FIELDS.map(field => record[field]).filter(Boolean).join(' ');
+}
+
+// Build embedding text — truncate the body field so the whole text fits the token limit
+function buildEmbeddingText(record) {
+  const prefix = embeddingPrefix(record);
+  const body = String(record[BODY_FIELD] || '');
+  const prefixTokens = prefix ? countTokens(prefix + ' ') : 0;
+  const trimmedBody = truncateToTokens(body, MAX_INPUT_TOKENS - prefixTokens);
+  const parts = [prefix, trimmedBody].filter(Boolean);
+  return parts.join(' ') || 'empty';
+}
+
+// Overlapping body chunks, each prefixed for context, so the end of long captions
+// (often the phone number / LINE ID) is embedded too
+function buildEmbeddingChunks(record) {
+  const prefix = embeddingPrefix(record);
+  const body = String(record[BODY_FIELD] || '');
+  if (!body) return [buildEmbeddingText(record)];
+
+  const prefixTokens = prefix ? countTokens(prefix + ' ') : 0;
+  const chunkBudget = Math.max(CHUNK_OVERLAP_TOKENS + 1, Math.min(CHUNK_TOKENS, MAX_INPUT_TOKENS) - prefixTokens);
+  return splitIntoChunks(body, chunkBudget, CHUNK_OVERLAP_TOKENS)
+    .map(chunk => [prefix, chunk].filter(Boolean).join(' '));
+}
+
+// Mean of chunk vectors, L2-normalised (cosine space)
+function poolVectors(vectors) {
+  const pooled = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    vector.forEach((v, i) => { pooled[i] += v; });
+  }
+  const norm = Math.sqrt(pooled.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return pooled.map(v => v / norm);
+}
+
+// 429 / 5xx / network errors are worth retrying; other 4xx (bad input, auth) are not
+function isRetryable(error) {
+  if (error.permanent) return false;
+  if (!error.status) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+// One provider request for an array of inputs (results come back in input order).
+// Every call goes through the shared RPM/TPM limiter; 429s honour Retry-After.
+async function requestEmbeddings(inputs, tokens, retryCount = 0) {
+  try {
+    await limiter.acquire(tokens);
+    stats.requests++;
+    return await provider.embed(inputs);
+  } catch (error) {
+    if (!isRetryable(error)) {
+      stats.failedFast++;
+      throw error;
+    }
+    if (error.status === 429) {
+      stats.rateLimited++;
+    }
+    if (retryCount < MAX_RETRIES) {
+      const delay = error.retryAfterMs ?? backoffDelay(retryCount + 1, RETRY_BASE_MS, RETRY_MAX_MS);
+      if (error.status === 429) limiter.penalize(delay);
+      console.log(`   ⚠️ Embedding retry ${retryCount + 1}/${MAX_RETRIES} in ${delay}ms: ${error.message}`);
+      await sleep(delay);
+      return requestEmbeddings(inputs, tokens, retryCount + 1);
+    }
+    throw error;
+  }
+}
+
+// Embedding: generate for a single text
+async function getEmbedding(text) {
+  const [result] = await embedTexts([text]);
+  if (result.error) throw result.error;
+  return result.embedding;
+}
+
+// Split texts into request-sized groups by item count and token count
+function planRequests(texts, tokenCounts) {
+  const groups = [];
+  let current = { texts: [], tokens: 0 };
+
+  texts.forEach(text => {
+    const tokens = tokenCounts.get(text);
+    if (current.texts.length > 0 && (current.texts.length >= MAX_BATCH_ITEMS || current.tokens + tokens > MAX_BATCH_TOKENS)) {
+      groups.push(current);
+      current = { texts: [], tokens: 0 };
+    }
+    current.texts.push(text);
+    current.tokens += tokens;
+  });
+  if (current.texts.length > 0) groups.push(current);
+
+  return groups;
+}
+
+// Embed many texts: cache first, then batched requests for the misses.
+// Returns one { embedding, tokens, cached } or { error, tokens } per input, in order.
+// A bad input never fails its neighbours: a batch that fails on a retryable or
+// per-input error is retried item by item (auth/permission errors fail the batch).
+async function embedTexts(texts) {
+  stats.requested += texts.length;
+
+  const keys = texts.map(text => cache.cacheKey(provider.model, text));
+  const tokenCounts = new Map(texts.map(text => [text, countTokens(text)]));
+  const vectors = new Map();
+
+  const cached = provider.cacheable
+    ? await Promise.all(keys.map(key => cache.get(provider.model, key)))
+    : keys.map(() => null);
+  cached.forEach((embedding, i) => {
+    if (embedding) vectors.set(keys[i], { embedding, cached: true });
+  });
+  stats.cacheHits += cached.filter(Boolean).length;
+
+  // Unique texts still to embed (identical captions are embedded once)
+  const pending = new Map();
+  texts.forEach((text, i) => {
+    if (!vectors.has(keys[i]) && !pending.has(keys[i])) pending.set(keys[i], text);
+  });
+
+  for (const group of planRequests(Array.from(pending.values()), tokenCounts)) {
+    try {
+      const embeddings = await requestEmbeddings(group.texts, group.tokens);
+      await storeAll(group.texts, embeddings, vectors, tokenCounts);
+    } catch (error) {
+      if (group.texts.length === 1 || error.status === 401 || error.status === 403) {
+        group.texts.forEach(text => vectors.set(cache.cacheKey(provider.model, text), { error }));
+        continue;
+      }
+      console.error(`⚠️ Embedding batch of ${group.texts.length} failed, retrying individually: ${error.message}`);
+      for (const text of group.texts) {
+        try {
+          const [embedding] = await requestEmbeddings([text], tokenCounts.get(text));
+          await storeAll([text], [embedding], vectors, tokenCounts);
+        } catch (itemError) {
+          vectors.set(cache.cacheKey(provider.model, text), { error: itemError });
+        }
+      }
+    }
+  }
+
+  return keys.map((key, i) => ({ ...vectors.get(key), tokens: tokenCounts.get(texts[i]) }));
+}
+
+async function storeAll(group, embeddings, vectors, tokenCounts) {
+  stats.embedded += group.length;
+  stats.billedTokens += group.reduce((sum, text) => sum + tokenCounts.get(text), 0);
+  await Promise.all(group.map((text, i) => {
+    const key = cache.cacheKey(provider.model, text);
+    vectors.set(key, { embedding: embeddings[i], cached: false });
+    return provider.cacheable ? cache.put(provider.model, key, embeddings[i]) : null;
+  }));
+}
+
+// Token usage of one record's texts; cached vectors cost nothing
+function usageOf(results) {
+  return {
+    tokens: results.reduce((sum, result) => sum + result.tokens, 0),
+    billedTokens: results.reduce((sum, result) => sum + (result.cached ? 0 : result.tokens), 0)
+  };
+}
+
+// Embed records according to EMBEDDING_MODE.
+// Returns one { embedding, embedding_chunks?, usage } or { error, usage } per record, in order.
+async function embedRecords(records) {
+  if (EMBEDDING_MODE === 'truncate') {
+    const results = await embedTexts(records.map(buildEmbeddingText));
+    return results.map(result => result.error
+      ? { error: result.error, usage: usageOf([]) }
+      : { embedding: result.embedding, usage: usageOf([result]) });
+  }
+
+  const chunksPerRecord = records.map(buildEmbeddingChunks);
+  const results = await embedTexts(chunksPerRecord.flat());
+
+  let offset = 0;
+  return chunksPerRecord.map(chunks => {
+    const chunkResults = results.slice(offset, offset + chunks.length);
+    offset += chunks.length;
+
+    const failed = chunkResults.find(result => result.error);
+    if (failed) return { error: failed.error, usage: usageOf([]) };
+
+    const vectors = chunkResults.map(result => result.embedding);
+    const embedded = { embedding: poolVectors(vectors), usage: usageOf(chunkResults) };
+    if (EMBEDDING_MODE === 'chunks') {
+      embedded.embedding_chunks = vectors.map((vector, chunk) => ({ chunk, vector }));
+    }
+    return embedded;
+  });
+}
+
+function getStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  provider,
+  EMBEDDING_MODE,
+  EMBEDDING_DIMENSION: provider.dimension,
+  isEnabled: () => provider.name !== 'none' && EMBEDDING_FIELDS.length > 0,
+  buildEmbeddingText,
+  buildEmbeddingChunks,
+  getEmbedding,
+  embedTexts,
+  embedRecords,
+  getStats
+};
@@ -0,0 +1,29 @@
+// Process exit codes shared by every command, so Render and on-call tooling can tell
+// outcomes apart without parsing logs
+//
+//   0   success       everything done
+//   1   failure       step failed, nothing (reliable) to show for it
+//   2   partial       finished, but some records failed / were left for the next run
+//   3   integrity     data does not match: missing or mismatched docs, checksum mismatch
+//   64  usage         unknown command or flag (EX_USAGE)
+//   75  locked        another run holds the run lock, try again later (EX_TEMPFAIL)
+//   78  config        invalid or missing configuration (EX_CONFIG)
+//   143 interrupted   SIGTERM/SIGINT, state saved for resume (128 + SIGTERM)
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  PARTIAL: 2,
+  INTEGRITY: 3,
+  USAGE: 64,
+  LOCKED: 75,
+  CONFIG: 78,
+  INTERRUPTED: 143
+};
+
+function exitCodeName(code) {
+  const name = Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === code);
+  return name ? name.toLowerCase() : 'unknown';
+}
+
+module.exports = { EXIT_CODES, exitCodeName };
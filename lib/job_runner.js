@@ -0,0 +1,91 @@
+// Run several sync jobs in one invocation: node cli.js run with more than one SYNC_JOBS entry
+//
+// Every step module reads its job (table, index, staging prefix) once at load time, so each
+// job runs in its own child process — `node cli.js run --job=<name>` — one after the other.
+// Jobs have separate staging prefixes, run locks and logs, so one failing job does not stop
+// the next. SIGTERM/SIGINT are forwarded to the running job and no further job is started.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { EXIT_CODES, exitCodeName } = require('./exit_codes');
+
+const CLI_PATH = path.join(__dirname, '..', 'cli.js');
+
+// Worst first: the exit code of the whole invocation is the worst of its jobs
+const SEVERITY = [
+  EXIT_CODES.INTERRUPTED,
+  EXIT_CODES.CONFIG,
+  EXIT_CODES.USAGE,
+  EXIT_CODES.INTEGRITY,
+  EXIT_CODES.FAILURE,
+  EXIT_CODES.LOCKED,
+  EXIT_CODES.PARTIAL,
+  EXIT_CODES.SUCCESS
+];
+
+function worstExitCode(codes) {
+  return SEVERITY.find(code => codes.includes(code)) ?? EXIT_CODES.SUCCESS;
+}
+
+// One job as a child process → its exit code (killed by a signal counts as interrupted)
+function runJob(name, argv, onStart) {
+  return new Promise(resolve => {
+    // Own process group: a terminal Ctrl+C reaches the child once, through the forwarder
+    const child = spawn(process.execPath, [CLI_PATH, 'run', ...argv, `--job=${name}`], {
+      stdio: 'inherit',
+      detached: true
+    });
+    onStart(child);
+
+    child.on('error', error => {
+      console.error(`❌ Job ${name} could not start:`, error.message);
+      resolve(EXIT_CODES.FAILURE);
+    });
+    child.on('exit', (code, signal) => {
+      if (signal) resolve(EXIT_CODES.INTERRUPTED);
+      else resolve(SEVERITY.includes(code) ? code : EXIT_CODES.FAILURE);
+    });
+  });
+}
+
+// Run jobs in order → { success, code, jobs: { name: { code, status } } }
+// argv is passed to every child (shared flags such as --config, --dry-run, --abandon)
+async function runJobs(names, argv = []) {
+  let current = null;
+  let stopSignal = null;
+  const forward = signal => {
+    if (!stopSignal) console.error(`🛑 ${signal} received — finishing the current job, skipping the rest`);
+    stopSignal = signal;
+    if (current && current.exitCode === null) current.kill(signal);
+  };
+  process.on('SIGTERM', forward);
+  process.on('SIGINT', forward);
+
+  const jobs = {};
+  try {
+    for (const name of names) {
+      if (stopSignal) {
+        jobs[name] = { code: EXIT_CODES.INTERRUPTED, status: 'skipped' };
+        continue;
+      }
+
+      console.log(`\n🧩 Job ${name} (${Object.keys(jobs).length + 1}/${names.length})`);
+      const code = await runJob(name, argv, child => { current = child; });
+      current = null;
+      jobs[name] = { code, status: exitCodeName(code) };
+    }
+  } finally {
+    process.removeListener('SIGTERM', forward);
+    process.removeListener('SIGINT', forward);
+  }
+
+  console.log('\n🧩 Jobs:');
+  for (const [name, job] of Object.entries(jobs)) {
+    console.log(`   ${job.code === EXIT_CODES.SUCCESS ? '✅' : '❌'} ${name}: ${job.status} (exit ${job.code})`);
+  }
+
+  const code = worstExitCode(Object.values(jobs).map(job => job.code));
+  return { success: code === EXIT_CODES.SUCCESS, code, jobs };
+}
+
+module.exports = { runJobs, worstExitCode };
@@ -0,0 +1,79 @@
+// Shared OpenSearch connection, selected by OPENSEARCH_AUTH
+//
+//   sigv4   → AWS managed domain (service es) or serverless collection (service aoss)  (default)
+//   basic   → OPENSEARCH_USERNAME / OPENSEARCH_PASSWORD (self-hosted, security plugin)
+//   apikey  → Authorization: ApiKey <OPENSEARCH_API_KEY> (e.g. behind a gateway)
+//   none    → no auth (local docker with the security plugin disabled)
+//
+// TLS is verified by default. OPENSEARCH_CA_CERT points at a PEM bundle for self-signed
+// clusters; OPENSEARCH_TLS_VERIFY=false turns verification off (local dev only).
+
+const fs = require('fs');
+const { Client } = require('@opensearch-project/opensearch');
+const { AwsSigv4Signer } = require('@opensearch-project/opensearch/aws');
+const { fromNodeProviderChain } = require('@aws-sdk/credential-providers');
+const { getConfig } = require('./config');
+
+const AUTH_MODES = ['sigv4', 'basic', 'apikey', 'none'];
+
+// Serverless endpoints look like https://<id>.<region>.aoss.amazonaws.com
+function detectService(node) {
+  return /\.aoss\.amazonaws\.com/.test(node || '') ? 'aoss' : 'es';
+}
+
+function buildSsl(options) {
+  const ssl = {};
+  if (options.caCert) {
+    ssl.ca = fs.readFileSync(options.caCert, 'utf8');
+  }
+  if (!options.tlsVerify) {
+    console.warn('⚠️ OPENSEARCH_TLS_VERIFY=false — TLS certificates are not verified');
+    ssl.rejectUnauthorized = false;
+  }
+  return ssl;
+}
+
+function buildAuth(options, auth) {
+  switch (auth) {
+    case 'sigv4': {
+      const service = options.awsService || detectService(options.node);
+      if (!['es', 'aoss'].includes(service)) {
+        throw new Error(`Unknown OPENSEARCH_AWS_SERVICE: ${service}`);
+      }
+      return new AwsSigv4Signer({
+        getCredentials: fromNodeProviderChain(),
+        region: options.awsRegion,
+        service
+      });
+    }
+    case 'basic':
+      if (!options.username || !options.password) {
+        throw new Error('OPENSEARCH_USERNAME and OPENSEARCH_PASSWORD are required for OPENSEARCH_AUTH=basic');
+      }
+      return { auth: { username: options.username, password: options.password } };
+    case 'apikey':
+      if (!options.apiKey) {
+        throw new Error('OPENSEARCH_API_KEY is required for OPENSEARCH_AUTH=apikey');
+      }
+      return { headers: { Authorization: `ApiKey ${options.apiKey}` } };
+    case 'none':
+      return {};
+    default:
+      throw new Error(`Unknown OPENSEARCH_AUTH: ${auth} (expected ${AUTH_MODES.join(', ')})`);
+  }
+}
+
+// Build a client from the opensearch config (lib/config.js)
+function createOpenSearchClient(options = getConfig().opensearch) {
+  if (!options.node) {
+    throw new Error('OPENSEARCH_NODE is required');
+  }
+
+  return new Client({
+    ...buildAuth(options, options.auth),
+    node: options.node,
+    ssl: buildSsl(options)
+  });
+}
+
+module.exports = { createOpenSearchClient, detectService };
@@ -0,0 +1,196 @@
+// Shared index layout: versioned physical indices behind a read alias and a write alias
+//
+//   pageseeker_response_opensearch_v1, _v2, ...   physical indices
+//   pageseeker_response_opensearch_read            alias used by search / test
+//   pageseeker_response_opensearch_write           alias used by sync
+//
+// Every step goes through these aliases so a mapping change only means a reindex,
+// never editing index names in each script. The base name and the field mappings come
+// from the sync job (lib/sync_jobs.js).
+
+const { EMBEDDING_DIMENSION, EMBEDDING_MODE } = require('./embeddings');
+const { createTransformChain } = require('./transforms');
+const { getConfig } = require('./config');
+
+const job = getConfig().job;
+const INDEX_BASE = job.index;
+const READ_ALIAS = `${INDEX_BASE}_read`;
+const WRITE_ALIAS = `${INDEX_BASE}_write`;
+const VERSION_PATTERN = new RegExp(`^${INDEX_BASE}_v(\\d+)$`);
+
+function versionedIndexName(version) {
+  return `${INDEX_BASE}_v${version}`;
+}
+
+function parseVersion(indexName) {
+  const match = VERSION_PATTERN.exec(indexName);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function knnVectorMapping() {
+  return {
+    type: 'knn_vector',
+    dimension: EMBEDDING_DIMENSION, // from the configured embedding provider
+    method: {
+      name: 'hnsw',
+      space_type: 'cosinesimil',
+      engine: 'faiss'
+    }
+  };
+}
+
+// Document fields of the job: id, what the transforms add (phones, urls, ...), the job's
+// own mapping (embedding fields are added by buildIndexBody)
+function documentProperties() {
+  return {
+    id: { type: 'keyword' },
+    ...createTransformChain(job).mapping,
+    ...job.mapping
+  };
+}
+
+// Settings + mappings for a new physical index
+function buildIndexBody() {
+  const body = {
+    settings: {
+      'index.knn': true,
+      number_of_shards: 1,
+      number_of_replicas: 0,
+      refresh_interval: '30s',
+      analysis: {
+        analyzer: {
+          thai_analyzer: {
+            type: 'custom',
+            tokenizer: 'icu_tokenizer',
+            filter: ['lowercase']
+          }
+        }
+      }
+    },
+    mappings: {
+      properties: documentProperties()
+    }
+  };
+
+  // Jobs without embeddingFields are plain text / keyword indices
+  if (job.embeddingFields.length === 0) return body;
+  body.mappings.properties.embedding = knnVectorMapping();
+
+  // EMBEDDING_MODE=chunks keeps one vector per caption chunk
+  if (EMBEDDING_MODE === 'chunks') {
+    body.mappings.properties.embedding_chunks = {
+      type: 'nested',
+      properties: {
+        chunk: { type: 'integer' },
+        vector: knnVectorMapping()
+      }
+    };
+  }
+
+  return body;
+}
+
+// Physical indices currently behind an alias (empty if the alias does not exist)
+async function getAliasTargets(osClient, alias) {
+  const exists = await osClient.indices.existsAlias({ name: alias });
+  if (!exists.body) return [];
+  const response = await osClient.indices.getAlias({ name: alias });
+  return Object.keys(response.body);
+}
+
+// All versioned physical indices, sorted by version ascending
+async function listVersionedIndices(osClient) {
+  const response = await osClient.cat.indices({ index: `${INDEX_BASE}_v*`, format: 'json' });
+  return (response.body || [])
+    .map(row => row.index)
+    .filter(name => parseVersion(name) !== null)
+    .sort((a, b) => parseVersion(a) - parseVersion(b));
+}
+
+async function createVersionedIndex(osClient, version) {
+  const indexName = versionedIndexName(version);
+  await osClient.indices.create({ index: indexName, body: buildIndexBody() });
+  console.log(`✅ Index created: ${indexName}`);
+  return indexName;
+}
+
+// Embedding dimension in an existing index mapping (null if unmapped)
+async function getEmbeddingDimension(osClient, indexName) {
+  const response = await osClient.indices.getMapping({ index: indexName });
+  const mapping = response.body[indexName].mappings;
+  const embedding = mapping.properties && mapping.properties.embedding;
+  return embedding ? embedding.dimension : null;
+}
+
+// Fail fast when the index was built for a different embedding provider
+async function checkEmbeddingDimension(osClient, indexName) {
+  const dimension = await getEmbeddingDimension(osClient, indexName);
+  if (dimension !== null && dimension !== EMBEDDING_DIMENSION) {
+    throw new Error(
+      `Index ${indexName} has embedding dimension ${dimension} but the provider produces ${EMBEDDING_DIMENSION} — run 07_reindex.js`
+    );
+  }
+}
+
+// Ensure the read/write aliases exist and point at a physical index.
+// Adopts the latest existing versioned index, or creates _v1 on an empty cluster.
+// options.checkDimension = false skips the provider check (used by 07_reindex.js).
+async function ensureIndex(osClient, options = {}) {
+  const checkDimension = options.checkDimension !== false;
+  const writeTargets = await getAliasTargets(osClient, WRITE_ALIAS);
+  const readTargets = await getAliasTargets(osClient, READ_ALIAS);
+
+  if (writeTargets.length > 0 && readTargets.length > 0) {
+    if (checkDimension) await checkEmbeddingDimension(osClient, writeTargets[0]);
+    return { readAlias: READ_ALIAS, writeAlias: WRITE_ALIAS, index: writeTargets[0] };
+  }
+
+  let indexName = writeTargets[0] || readTargets[0];
+  if (!indexName) {
+    const existing = await listVersionedIndices(osClient);
+    indexName = existing.length > 0
+      ? existing[existing.length - 1]
+      : await createVersionedIndex(osClient, 1);
+  }
+
+  if (checkDimension) await checkEmbeddingDimension(osClient, indexName);
+
+  const actions = [];
+  if (readTargets.length === 0) actions.push({ add: { index: indexName, alias: READ_ALIAS } });
+  if (writeTargets.length === 0) actions.push({ add: { index: indexName, alias: WRITE_ALIAS, is_write_index: true } });
+  await osClient.indices.updateAliases({ body: { actions } });
+  console.log(`🔗 Aliases ${READ_ALIAS} / ${WRITE_ALIAS} → ${indexName}`);
+
+  return { readAlias: READ_ALIAS, writeAlias: WRITE_ALIAS, index: indexName };
+}
+
+// Atomically move both aliases from one physical index to another
+async function swapAliases(osClient, fromIndex, toIndex) {
+  await osClient.indices.updateAliases({
+    body: {
+      actions: [
+        { remove: { index: fromIndex, alias: READ_ALIAS } },
+        { remove: { index: fromIndex, alias: WRITE_ALIAS } },
+        { add: { index: toIndex, alias: READ_ALIAS } },
+        { add: { index: toIndex, alias: WRITE_ALIAS, is_write_index: true } }
+      ]
+    }
+  });
+  console.log(`🔀 Aliases swapped: ${fromIndex} → ${toIndex}`);
+}
+
+module.exports = {
+  INDEX_BASE,
+  READ_ALIAS,
+  WRITE_ALIAS,
+  versionedIndexName,
+  parseVersion,
+  documentProperties,
+  buildIndexBody,
+  getAliasTargets,
+  listVersionedIndices,
+  createVersionedIndex,
+  getEmbeddingDimension,
+  ensureIndex,
+  swapAliases
+};
@@ -0,0 +1,50 @@
+// Quarantine for staged lines that cannot be indexed: corrupt JSON, no id, or values the
+// index mapping would reject (see lib/record_validation.js)
+//
+//   log/quarantine/<workflowId>/<staged file name>.json
+//     → { workflowId, file, quarantinedAt, entries: [{ line, id, reason, raw }] }
+//
+// One object per staged file, rewritten when the same file is synced again (resume, retry).
+// It lives under log/, so it is pruned with the other logs after LOG_RETENTION_DAYS.
+// Quarantined rows are never marked, so once fixed in Supabase the next run picks them up.
+
+const { store } = require('./staging_store');
+
+const QUARANTINE_PREFIX = 'log/quarantine/';
+const DEFAULT_WORKFLOW = 'manual';
+
+function fileKey(workflowId, file) {
+  return `${QUARANTINE_PREFIX}${workflowId || DEFAULT_WORKFLOW}/${file.split('/').pop().replace(/\.jsonl?$/, '')}.json`;
+}
+
+// Record the quarantined lines of one staged file
+async function putFile(workflowId, file, entries) {
+  if (entries.length === 0) return null;
+
+  const key = fileKey(workflowId, file);
+  await store.put(key, JSON.stringify({
+    workflowId: workflowId || DEFAULT_WORKFLOW,
+    file,
+    quarantinedAt: new Date().toISOString(),
+    entries
+  }, null, 2));
+  console.log(`🚧 Quarantine: ${entries.length} lines of ${file} written to ${key}`);
+  return key;
+}
+
+// All quarantined lines, optionally limited to one workflow
+async function listEntries(workflowId = null) {
+  const prefix = workflowId ? `${QUARANTINE_PREFIX}${workflowId}/` : QUARANTINE_PREFIX;
+  const entries = [];
+
+  for (const { key } of await store.list(prefix)) {
+    const content = await store.get(key);
+    if (content === null) continue;
+    const body = JSON.parse(content);
+    body.entries.forEach(entry => entries.push({ ...entry, workflowId: body.workflowId, file: body.file, key }));
+  }
+
+  return entries;
+}
+
+module.exports = { QUARANTINE_PREFIX, putFile, listEntries };
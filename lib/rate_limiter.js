@@ -0,0 +1,64 @@
+// Token-bucket limiter for requests/minute + tokens/minute, shared by every caller in a run
+
+const { sleep } = require('./retry');
+
+function createBucket(perMinute) {
+  return {
+    capacity: perMinute,
+    available: perMinute,
+    refillPerMs: perMinute / 60000
+  };
+}
+
+function refill(bucket, elapsedMs) {
+  bucket.available = Math.min(bucket.capacity, bucket.available + elapsedMs * bucket.refillPerMs);
+}
+
+// Milliseconds until `amount` is available (a request bigger than the bucket waits for a full bucket)
+function waitTime(bucket, amount) {
+  const needed = Math.min(amount, bucket.capacity) - bucket.available;
+  return needed > 0 ? Math.ceil(needed / bucket.refillPerMs) : 0;
+}
+
+function createRateLimiter({ requestsPerMinute, tokensPerMinute }) {
+  const requests = createBucket(requestsPerMinute);
+  const tokens = createBucket(tokensPerMinute);
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function update() {
+    const now = Date.now();
+    refill(requests, now - last);
+    refill(tokens, now - last);
+    last = now;
+  }
+
+  // Resolves once one request carrying `tokenCount` tokens may be sent. Calls are
+  // served in order so a large request is not starved by a stream of small ones.
+  function acquire(tokenCount) {
+    const turn = queue.then(async () => {
+      update();
+      let wait = Math.max(waitTime(requests, 1), waitTime(tokens, tokenCount));
+      while (wait > 0) {
+        await sleep(wait);
+        update();
+        wait = Math.max(waitTime(requests, 1), waitTime(tokens, tokenCount));
+      }
+      requests.available -= 1;
+      tokens.available -= Math.min(tokenCount, tokens.capacity);
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Server said slow down (429 + Retry-After): drain the buckets so everyone waits
+  function penalize(ms) {
+    update();
+    requests.available = Math.min(requests.available, -ms * requests.refillPerMs);
+    tokens.available = Math.min(tokens.available, -ms * tokens.refillPerMs);
+  }
+
+  return { acquire, penalize };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,135 @@
+// Staged record checks before indexing: lenient JSONL parsing + validation against the mapping
+//
+// Each line of a staged file is parsed on its own, so one corrupt line is quarantined
+// instead of failing the whole file. Records are then checked against the properties of
+// the target index (id + the job's mapping + the fields the transforms add):
+//   id                      required — a non-empty string or a number
+//   date                    ISO 8601 or epoch millis; other parseable dates
+//                           ("2026-01-01 10:00:00+07") are coerced to ISO
+//   integer, long, float …  numbers; numeric strings are coerced
+//   boolean                 true / false; "true" / "false" are coerced
+//   keyword, text           strings (numbers and booleans pass), never objects
+// Fields without a mapping are left to dynamic mapping; null is always accepted.
+// A record that fails a check is quarantined with the reason rather than letting the
+// bulk request fail it with a mapping error. Tombstones only need an id.
+
+const INTEGER_TYPES = ['integer', 'long', 'short', 'byte'];
+const NUMBER_TYPES = ['float', 'double', 'half_float', 'scaled_float'];
+const STRING_TYPES = ['keyword', 'text'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+
+// Lines of a staged JSONL file → { entries: [{ line, raw, record }], invalid: [{ line, raw, reason }] }
+// (line numbers are 1-based, blank lines are skipped)
+function parseJsonl(content) {
+  const entries = [];
+  const invalid = [];
+
+  content.split('\n').forEach((text, index) => {
+    const raw = text.replace(/\r$/, '');
+    if (!raw.trim()) return;
+    const line = index + 1;
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch (error) {
+      invalid.push({ line, raw, reason: `invalid JSON: ${error.message}` });
+      return;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      invalid.push({ line, raw, reason: 'not a JSON object' });
+      return;
+    }
+    entries.push({ line, raw, record });
+  });
+
+  return { entries, invalid };
+}
+
+// One value against its field mapping → { value } (possibly coerced) or { error }
+function checkValue(value, mapping) {
+  const type = mapping.type;
+
+  if (type === 'date') {
+    if (mapping.format) return { value }; // custom format: leave it to OpenSearch
+    if (typeof value === 'number' && Number.isFinite(value)) return { value };
+    if (typeof value !== 'string' || isNaN(Date.parse(value))) return { error: 'not a date' };
+    return ISO_DATE.test(value) ? { value } : { value: new Date(value).toISOString(), coerced: true };
+  }
+
+  if (INTEGER_TYPES.includes(type) || NUMBER_TYPES.includes(type)) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `not a number (${type})` };
+    if (INTEGER_TYPES.includes(type) && !Number.isInteger(number)) return { error: `not an integer (${type})` };
+    return number === value ? { value } : { value: number, coerced: true };
+  }
+
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true', coerced: true };
+    return { error: 'not a boolean' };
+  }
+
+  if (STRING_TYPES.includes(type) && typeof value === 'object') {
+    return { error: `object in a ${type} field` };
+  }
+
+  return { value };
+}
+
+// Validator for the target index properties → validate(record) → { record, coerced: [field], reason }
+// reason is null for a valid (possibly coerced) record
+function createRecordValidator(properties) {
+  const fields = Object.entries(properties).filter(([field]) => field !== 'id');
+
+  return function validate(record) {
+    const id = record.id;
+    if (id === undefined || id === null || id === '' || (typeof id !== 'string' && typeof id !== 'number')) {
+      return { record, coerced: [], reason: 'missing or invalid id' };
+    }
+    if (record._deleted === true) return { record, coerced: [], reason: null };
+
+    const coerced = [];
+    let checked = record;
+    for (const [field, mapping] of fields) {
+      const value = record[field];
+      if (value === undefined || value === null) continue;
+
+      // Arrays are checked element by element, as OpenSearch indexes them
+      const values = Array.isArray(value) ? value : [value];
+      const results = values.map(item => (item === null ? { value: null } : checkValue(item, mapping)));
+      const failed = results.find(result => result.error);
+      if (failed) {
+        return { record, coerced: [], reason: `${field}: ${failed.error} (${JSON.stringify(value).slice(0, 100)})` };
+      }
+      if (results.some(result => result.coerced)) {
+        const fixed = results.map(result => result.value);
+        checked = { ...checked, [field]: Array.isArray(value) ? fixed : fixed[0] };
+        coerced.push(field);
+      }
+    }
+
+    return { record: checked, coerced, reason: null };
+  };
+}
+
+// Parse + validate a staged file → { records, quarantined: [{ line, id, reason, raw }], coercedIds }
+function checkStagedFile(content, validate) {
+  const { entries, invalid } = parseJsonl(content);
+  const records = [];
+  const quarantined = invalid.map(({ line, raw, reason }) => ({ line, id: null, reason, raw }));
+  const coercedIds = [];
+
+  for (const { line, raw, record } of entries) {
+    const result = validate(record);
+    if (result.reason) {
+      quarantined.push({ line, id: record.id ?? null, reason: result.reason, raw });
+      continue;
+    }
+    if (result.coerced.length > 0) coercedIds.push(record.id);
+    records.push(result.record);
+  }
+
+  return { records, quarantined, coercedIds };
+}
+
+module.exports = { parseJsonl, createRecordValidator, checkStagedFile };
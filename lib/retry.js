@@ -0,0 +1,54 @@
+// Retry helpers: exponential backoff with full jitter + a simple circuit breaker
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// attempt 1 → up to baseMs, attempt 2 → up to 2×baseMs, ... capped at maxMs
+function backoffDelay(attempt, baseMs = 1000, maxMs = 30000) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Opens after `threshold` consecutive failures and pauses callers for `cooldownMs`
+// (beforeRequest() waits out the cooldown). The failure that would open it a
+// (maxTrips + 1)th time makes recordFailure() throw an error with code CIRCUIT_OPEN,
+// so the caller can stop instead of half-syncing everything.
+function createCircuitBreaker({ name, threshold = 5, cooldownMs = 60000, maxTrips = 3 }) {
+  let consecutiveFailures = 0;
+  let trips = 0;
+  let openUntil = 0;
+
+  return {
+    async beforeRequest() {
+      const wait = openUntil - Date.now();
+      if (wait > 0) {
+        console.log(`⏸️ ${name} circuit open — pausing ${Math.round(wait / 1000)}s`);
+        await sleep(wait);
+      }
+    },
+
+    recordSuccess() {
+      consecutiveFailures = 0;
+    },
+
+    recordFailure() {
+      consecutiveFailures++;
+      if (consecutiveFailures < threshold) return;
+
+      trips++;
+      consecutiveFailures = 0;
+      if (trips > maxTrips) {
+        const error = new Error(`${name} circuit breaker tripped ${trips} times — aborting run`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      openUntil = Date.now() + cooldownMs;
+      console.error(`🚨 ${name} circuit opened (${threshold} consecutive rejections, trip ${trips}/${maxTrips})`);
+    },
+
+    state() {
+      return { consecutiveFailures, trips, open: openUntil > Date.now() };
+    }
+  };
+}
+
+module.exports = { sleep, backoffDelay, createCircuitBreaker };
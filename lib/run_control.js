@@ -0,0 +1,64 @@
+// Cooperative stop for 06_orchestrate.js: SIGTERM/SIGINT handling and per-step time budgets
+//
+// Steps take options.shouldStop() and check it between units of work (a staged file, a
+// sync file, a mark batch). It returns a reason string once they should wind down, or null.
+//
+// On SIGTERM no new batches are started; whatever is in flight gets SHUTDOWN_GRACE_MS
+// to finish. If the pipeline has not returned by then, onGraceExpired() records the run
+// as interrupted and the process exits before the platform's hard kill.
+
+const { EXIT_CODES } = require('./exit_codes');
+const { getConfig } = require('./config');
+
+const SHUTDOWN_GRACE_MS = getConfig().shutdown.graceMs;
+
+// { download, sync, test, mark } in ms, 0 = no budget
+const STEP_BUDGETS_MS = getConfig().stepBudgets;
+
+let stopSignal = null;
+
+function stopRequested() {
+  return stopSignal;
+}
+
+function installSignalHandlers(onGraceExpired) {
+  const handle = signal => {
+    if (stopSignal) {
+      console.error(`🛑 ${signal} again — exiting now`);
+      process.exit(EXIT_CODES.INTERRUPTED);
+    }
+    stopSignal = signal;
+    console.error(`🛑 ${signal} received — no new batches, ${Math.round(SHUTDOWN_GRACE_MS / 1000)}s grace for in-flight work`);
+
+    setTimeout(async () => {
+      console.error('⏰ Grace period over — abandoning in-flight requests');
+      try {
+        await onGraceExpired(signal);
+      } catch (error) {
+        console.error('❌ Could not record interrupted run:', error);
+      }
+      process.exit(EXIT_CODES.INTERRUPTED);
+    }, SHUTDOWN_GRACE_MS).unref();
+  };
+
+  process.on('SIGTERM', handle);
+  process.on('SIGINT', handle);
+}
+
+// shouldStop() for one step: a signal stops every step, a budget only its own
+function startStep(step) {
+  const budgetMs = STEP_BUDGETS_MS[step] || 0;
+  const deadline = budgetMs > 0 ? Date.now() + budgetMs : Infinity;
+
+  return () => {
+    if (stopSignal) return `${stopSignal} received`;
+    if (Date.now() > deadline) return `${step} time budget (${Math.round(budgetMs / 1000)}s) used up`;
+    return null;
+  };
+}
+
+module.exports = {
+  stopRequested,
+  installSignalHandlers,
+  startStep
+};
@@ -0,0 +1,128 @@
+// Lease-based run lock so two cron runs of 06_orchestrate.js never overlap
+//
+//   locks/sync.lock → { owner: <workflowId>, acquiredAt, renewedAt, expiresAt, host, pid }
+//
+// Acquire = conditional create (ifNoneMatch '*'). A lease past expiresAt belongs to a
+// crashed run and is taken over with ifMatch on the etag we read, so only one contender
+// wins. While held, a heartbeat renews the lease every RUN_LOCK_TTL_MS / 3.
+
+const os = require('os');
+const { store } = require('./staging_store');
+const { getConfig } = require('./config');
+
+const { key: LOCK_KEY, ttlMs: LOCK_TTL_MS } = getConfig().runLock; // TTL default 15 นาที
+
+function leaseBody(workflowId, acquiredAt) {
+  const now = Date.now();
+  return JSON.stringify({
+    owner: workflowId,
+    acquiredAt,
+    renewedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + LOCK_TTL_MS).toISOString(),
+    host: os.hostname(),
+    pid: process.pid
+  }, null, 2);
+}
+
+// Create the lease, or take over an expired one. Returns { etag } or { heldBy } on contention.
+async function tryAcquire(workflowId, acquiredAt) {
+  try {
+    return await store.put(LOCK_KEY, leaseBody(workflowId, acquiredAt), { ifNoneMatch: '*' });
+  } catch (error) {
+    if (error.code !== 'PRECONDITION_FAILED') throw error;
+  }
+
+  const current = await store.getWithEtag(LOCK_KEY);
+  if (current === null) {
+    // Released between our put and get — one more create attempt
+    try {
+      return await store.put(LOCK_KEY, leaseBody(workflowId, acquiredAt), { ifNoneMatch: '*' });
+    } catch (error) {
+      if (error.code !== 'PRECONDITION_FAILED') throw error;
+      return { heldBy: { owner: 'unknown' } };
+    }
+  }
+
+  const lease = JSON.parse(current.body);
+  if (Date.parse(lease.expiresAt) > Date.now()) {
+    return { heldBy: lease };
+  }
+
+  console.log(`⚠️ Run lock held by ${lease.owner} expired at ${lease.expiresAt} — reclaiming`);
+  try {
+    return await store.put(LOCK_KEY, leaseBody(workflowId, acquiredAt), { ifMatch: current.etag });
+  } catch (error) {
+    if (error.code !== 'PRECONDITION_FAILED') throw error;
+    return { heldBy: { owner: 'another run reclaiming the expired lock' } };
+  }
+}
+
+// Acquire the run lock for workflowId.
+// Returns { acquired: false, heldBy } when another run holds it, otherwise
+// { acquired: true, assertHeld(), release() } with the heartbeat already running.
+async function acquireRunLock(workflowId) {
+  const acquiredAt = new Date().toISOString();
+  const result = await tryAcquire(workflowId, acquiredAt);
+  if (result.heldBy) {
+    return { acquired: false, heldBy: result.heldBy };
+  }
+
+  let etag = result.etag;
+  let lost = null;
+  console.log(`🔒 Run lock acquired (${LOCK_KEY}, ttl ${Math.round(LOCK_TTL_MS / 1000)}s)`);
+
+  const heartbeat = setInterval(async () => {
+    if (lost) return;
+    try {
+      etag = (await store.put(LOCK_KEY, leaseBody(workflowId, acquiredAt), { ifMatch: etag })).etag;
+    } catch (error) {
+      if (error.code === 'PRECONDITION_FAILED') {
+        lost = 'lease was taken over by another run';
+        clearInterval(heartbeat);
+        console.error(`🚨 Run lock lost: ${lost}`);
+      } else {
+        // Transient store error — the lease is still ours until it expires
+        console.error(`⚠️ Run lock heartbeat failed: ${error.message}`);
+      }
+    }
+  }, Math.max(1000, Math.floor(LOCK_TTL_MS / 3)));
+  heartbeat.unref();
+
+  return {
+    acquired: true,
+
+    // Call before steps that must not run twice (mark, clean)
+    assertHeld() {
+      if (lost) {
+        const error = new Error(`Run lock lost: ${lost}`);
+        error.code = 'LOCK_LOST';
+        throw error;
+      }
+    },
+
+    async release() {
+      clearInterval(heartbeat);
+      if (lost) return;
+      try {
+        const current = await store.getWithEtag(LOCK_KEY);
+        if (current && JSON.parse(current.body).owner === workflowId) {
+          await store.delete([LOCK_KEY]);
+          console.log('🔓 Run lock released');
+        }
+      } catch (error) {
+        // Not fatal: the lease simply expires after the TTL
+        console.error(`⚠️ Could not release run lock: ${error.message}`);
+      }
+    }
+  };
+}
+
+// Current lease (for status / dry runs), with expired: true when nobody renewed it in time
+async function readRunLock() {
+  const content = await store.get(LOCK_KEY);
+  if (content === null) return null;
+  const lease = JSON.parse(content);
+  return { ...lease, expired: Date.parse(lease.expiresAt) <= Date.now() };
+}
+
+module.exports = { LOCK_KEY, acquireRunLock, readRunLock };
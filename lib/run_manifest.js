@@ -0,0 +1,111 @@
+// Per-run staging layout
+//
+//   runs/<workflowId>/unsynced_0001.jsonl ...
+//   runs/<workflowId>/changed_0006.jsonl, deleted_0007.jsonl ...   (CHANGE_CAPTURE=true)
+//   runs/<workflowId>/manifest.json
+//
+// The manifest is written last, after every file is uploaded, and lists each file with
+// its record count, ID range and SHA-256. 02_sync.js only syncs files named in it and
+// rejects any whose content no longer matches the checksum, so a crashed run's leftovers
+// are never picked up by the next one.
+
+const crypto = require('crypto');
+const { store } = require('./staging_store');
+
+const RUNS_PREFIX = 'runs/';
+const MANIFEST_NAME = 'manifest.json';
+
+function newWorkflowId() {
+  return Date.now().toString(36);
+}
+
+function runPrefix(workflowId) {
+  return `${RUNS_PREFIX}${workflowId}/`;
+}
+
+function manifestKey(workflowId) {
+  return `${runPrefix(workflowId)}${MANIFEST_NAME}`;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Numeric IDs in numeric order, anything else (uuid, text keys) as strings
+function compareIds(a, b) {
+  const [x, y] = [Number(a), Number(b)];
+  if (!isNaN(x) && !isNaN(y)) return x - y;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+// Manifest entry for one staged JSONL file. kind: unsynced | changed | deleted (tombstones).
+// firstId/lastId bound the file's numeric IDs (changed files are ordered by updated_at,
+// not id); both are null for an empty file or non-numeric keys
+function describeFile(key, content, records, kind = 'unsynced') {
+  const ids = records.map(record => Number(record.id));
+  const bounded = ids.length > 0 && ids.every(id => !isNaN(id));
+  return {
+    key,
+    kind,
+    records: records.length,
+    firstId: bounded ? Math.min(...ids) : null,
+    lastId: bounded ? Math.max(...ids) : null,
+    bytes: Buffer.byteLength(content),
+    sha256: sha256(content)
+  };
+}
+
+async function writeManifest(workflowId, files) {
+  const manifest = {
+    workflowId,
+    createdAt: new Date().toISOString(),
+    totalRecords: files.reduce((sum, file) => sum + file.records, 0),
+    fileCount: files.length,
+    files,
+    version: 'SYNC_SYSTEM_V1'
+  };
+  await store.put(manifestKey(workflowId), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+async function readManifest(workflowId) {
+  const content = await store.get(manifestKey(workflowId));
+  return content === null ? null : JSON.parse(content);
+}
+
+// Most recently written manifest (for running a single step by hand without a workflowId)
+async function latestManifest() {
+  const manifests = (await store.list(RUNS_PREFIX))
+    .filter(obj => obj.key.endsWith(`/${MANIFEST_NAME}`))
+    .sort((a, b) => b.lastModified - a.lastModified);
+  if (manifests.length === 0) return null;
+  return JSON.parse(await store.get(manifests[0].key));
+}
+
+// Manifest for workflowId, or the latest one when workflowId is null
+async function resolveManifest(workflowId = null) {
+  return workflowId ? readManifest(workflowId) : latestManifest();
+}
+
+// Throws when the staged content differs from what the manifest recorded
+function verifyFile(entry, content) {
+  const actual = sha256(content);
+  if (actual !== entry.sha256) {
+    const error = new Error(`Checksum mismatch for ${entry.key}: expected ${entry.sha256}, got ${actual}`);
+    error.code = 'CHECKSUM_MISMATCH';
+    throw error;
+  }
+}
+
+module.exports = {
+  RUNS_PREFIX,
+  newWorkflowId,
+  runPrefix,
+  manifestKey,
+  compareIds,
+  describeFile,
+  writeManifest,
+  readManifest,
+  resolveManifest,
+  verifyFile
+};
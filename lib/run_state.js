@@ -0,0 +1,91 @@
+// Persistent run state for 06_orchestrate.js
+//
+//   log/runs/<workflowId>.json
+//
+// Saved after every unit of work (a staged file, a sync checkpoint, a mark batch, a step),
+// so a run killed halfway is resumed from where it stopped instead of restaging everything.
+// `results` has the same shape as the orchestration summary.
+
+const { store } = require('./staging_store');
+
+const STATE_PREFIX = 'log/runs/';
+const STEPS = ['download', 'sync', 'test', 'mark', 'clean', 'log'];
+
+function stateKey(workflowId) {
+  return `${STATE_PREFIX}${workflowId}.json`;
+}
+
+function createRunState(workflowId) {
+  const now = new Date().toISOString();
+  return {
+    workflowId,
+    status: 'running',
+    step: STEPS[0],
+    startedAt: now,
+    updatedAt: now,
+    attempts: 1,
+    download: { lastId: null, files: [] },
+    sync: { filesDone: [] },
+    mark: { cursor: 0 },
+    results: {}
+  };
+}
+
+async function saveRunState(state) {
+  state.updatedAt = new Date().toISOString();
+  await store.put(stateKey(state.workflowId), JSON.stringify(state, null, 2));
+  return state;
+}
+
+async function loadRunState(workflowId) {
+  const content = await store.get(stateKey(workflowId));
+  return content === null ? null : JSON.parse(content);
+}
+
+async function latestRunState() {
+  const states = (await store.list(STATE_PREFIX))
+    .sort((a, b) => b.lastModified - a.lastModified);
+  if (states.length === 0) return null;
+  return JSON.parse(await store.get(states[0].key));
+}
+
+// Only one run holds the lock at a time, so only the most recent state can be unfinished
+async function findUnfinishedRun() {
+  const latest = await latestRunState();
+  return latest && isUnfinished(latest) ? latest : null;
+}
+
+function isUnfinished(state) {
+  return ['running', 'failed', 'interrupted'].includes(state.status);
+}
+
+function isStepDone(state, step) {
+  return STEPS.indexOf(state.step) > STEPS.indexOf(step);
+}
+
+// Record a finished step's result and move the cursor to the next step
+async function completeStep(state, step, result) {
+  state.results[step] = result;
+  state.step = STEPS[STEPS.indexOf(step) + 1] || 'done';
+  return saveRunState(state);
+}
+
+async function finishRun(state, status, extra = {}) {
+  Object.assign(state, { status, finishedAt: new Date().toISOString() }, extra);
+  return saveRunState(state);
+}
+
+module.exports = {
+  STATE_PREFIX,
+  STEPS,
+  stateKey,
+  createRunState,
+  saveRunState,
+  loadRunState,
+  latestRunState,
+  findUnfinishedRun,
+  isUnfinished,
+  isStepDone,
+  completeStep,
+  finishRun
+};
@@ -0,0 +1,288 @@
+// Staging store: where JSONL files, logs, DLQ entries and the embedding cache live
+//
+//   STAGING_BACKEND=s3     → s3://<S3_BUCKET>/<key>   (default)
+//   STAGING_BACKEND=local  → <STAGING_DIR>/<key>     (laptop, CI, or a disk-backed sidecar)
+//
+// Interface (all async):
+//   put(key, body, { contentType, ifNoneMatch, ifMatch })  → { etag }
+//   get(key)                                               → string | null
+//   getWithEtag(key)                                       → { body, etag } | null
+//   list(prefix)                                           → [{ key, lastModified, size, etag }]
+//   delete(keys)                                           → number deleted
+//
+// Conditional puts: ifNoneMatch: '*' only creates; ifMatch: <etag> only replaces that
+// version. A failed condition throws an error with code PRECONDITION_FAILED.
+//
+// The shared store lives under the sync job's staging prefix (jobs/<name>/ for named
+// jobs, none for the default job); callers only ever see keys relative to it.
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { getConfig } = require('./config');
+
+function preconditionFailed(key) {
+  const error = new Error(`Precondition failed for ${key}`);
+  error.code = 'PRECONDITION_FAILED';
+  return error;
+}
+
+function createS3Store({ bucket, region }) {
+  const s3Client = new S3Client({ region });
+
+  return {
+    name: 's3',
+    location: `s3://${bucket}`,
+
+    async put(key, body, options = {}) {
+      try {
+        const response = await s3Client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: options.contentType || 'application/json',
+          IfNoneMatch: options.ifNoneMatch,
+          IfMatch: options.ifMatch
+        }));
+        return { etag: response.ETag };
+      } catch (error) {
+        const status = error.$metadata && error.$metadata.httpStatusCode;
+        if (status === 412 || status === 409) throw preconditionFailed(key);
+        throw error;
+      }
+    },
+
+    async get(key) {
+      const object = await this.getWithEtag(key);
+      return object === null ? null : object.body;
+    },
+
+    async getWithEtag(key) {
+      try {
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: await response.Body.transformToString(), etag: response.ETag };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    // Paginated - S3 returns max 1000 per request
+    async list(prefix) {
+      let objects = [];
+      let continuationToken = undefined;
+
+      do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+        if (response.Contents) {
+          objects = objects.concat(response.Contents.map(obj => ({
+            key: obj.Key,
+            lastModified: new Date(obj.LastModified),
+            size: obj.Size,
+            etag: obj.ETag
+          })));
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    // DeleteObjects takes up to 1000 keys; per-key failures come back in Errors
+    async delete(keys) {
+      let deleted = 0;
+      for (let i = 0; i < keys.length; i += 1000) {
+        const batch = keys.slice(i, i + 1000);
+        const response = await s3Client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+        }));
+        const errors = response.Errors || [];
+        errors.forEach(err => console.error(`⚠️ Could not delete ${err.Key}: ${err.Code} ${err.Message}`));
+        deleted += batch.length - errors.length;
+      }
+      return deleted;
+    }
+  };
+}
+
+function createLocalStore({ dir }) {
+  const root = path.resolve(dir);
+  const filePath = key => path.join(root, ...key.split('/'));
+  // Version tag from size + mtime (ns), so listing never has to read file contents
+  const etagOf = stat => `"${stat.size.toString(16)}-${stat.mtimeNs.toString(16)}"`;
+  const statOf = async key => {
+    try {
+      return await fs.stat(filePath(key), { bigint: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  async function walk(current) {
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await walk(full));
+      } else if (!entry.name.endsWith('.tmp')) {
+        files.push(full);
+      }
+    }
+    return files;
+  }
+
+  return {
+    name: 'local',
+    location: root,
+
+    async put(key, body, options = {}) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+
+      if (options.ifNoneMatch === '*') {
+        try {
+          await fs.writeFile(target, body, { flag: 'wx' });
+        } catch (error) {
+          if (error.code === 'EEXIST') throw preconditionFailed(key);
+          throw error;
+        }
+        return { etag: etagOf(await fs.stat(target, { bigint: true })) };
+      }
+
+      if (options.ifMatch) {
+        const current = await statOf(key);
+        if (!current || etagOf(current) !== options.ifMatch) throw preconditionFailed(key);
+      }
+
+      // Write-then-rename so readers never see a half-written file
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, body);
+      await fs.rename(tmp, target);
+      return { etag: etagOf(await fs.stat(target, { bigint: true })) };
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(filePath(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // stat + read through one handle so the etag belongs to the content returned
+    async getWithEtag(key) {
+      let handle;
+      try {
+        handle = await fs.open(filePath(key), 'r');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      try {
+        const stat = await handle.stat({ bigint: true });
+        return { body: await handle.readFile('utf8'), etag: etagOf(stat) };
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async list(prefix) {
+      // Only walk the directory the prefix points into
+      const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const files = await walk(prefixDir ? filePath(prefixDir) : root);
+      const objects = [];
+      for (const file of files) {
+        const key = path.relative(root, file).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const stat = await fs.stat(file, { bigint: true });
+        objects.push({ key, lastModified: stat.mtime, size: Number(stat.size), etag: etagOf(stat) });
+      }
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async delete(keys) {
+      let deleted = 0;
+      const dirs = new Set();
+      for (const key of keys) {
+        try {
+          await fs.unlink(filePath(key));
+          deleted++;
+          dirs.add(path.dirname(filePath(key)));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+      // S3 has no directories; drop the ones we emptied so list() stays cheap
+      for (const dir of Array.from(dirs).sort().reverse()) {
+        for (let current = dir; current !== root; current = path.dirname(current)) {
+          try {
+            await fs.rmdir(current);
+          } catch (error) {
+            break; // not empty (or already gone)
+          }
+        }
+      }
+      return deleted;
+    }
+  };
+}
+
+// Same interface with every key under prefix
+function withPrefix(inner, prefix) {
+  if (!prefix) return inner;
+
+  return {
+    name: inner.name,
+    location: `${inner.location}/${prefix.replace(/\/$/, '')}`,
+    put: (key, body, options) => inner.put(prefix + key, body, options),
+    get: key => inner.get(prefix + key),
+    getWithEtag: key => inner.getWithEtag(prefix + key),
+    async list(listPrefix) {
+      const objects = await inner.list(prefix + listPrefix);
+      return objects.map(object => ({ ...object, key: object.key.slice(prefix.length) }));
+    },
+    delete: keys => inner.delete(keys.map(key => prefix + key))
+  };
+}
+
+// Build the store from the staging config (lib/config.js)
+function createStagingStore(options = getConfig().staging, prefix = '') {
+  const backend = options.backend;
+
+  switch (backend) {
+    case 's3':
+      return withPrefix(createS3Store({ bucket: options.bucket, region: options.region }), prefix);
+    case 'local':
+      return withPrefix(createLocalStore({ dir: options.dir }), prefix);
+    default:
+      throw new Error(`Unknown STAGING_BACKEND: ${backend}`);
+  }
+}
+
+// Shared instance for the run, under the sync job's prefix. With several SYNC_JOBS and
+// none picked there is no job yet: cli.js and loadConfigOrExit() stop before any step
+// uses the store, so it only needs to load.
+const { staging, job } = getConfig();
+const store = createStagingStore(staging, job ? job.stagingPrefix : '');
+
+module.exports = { store, createStagingStore };
@@ -0,0 +1,50 @@
+// Shared Supabase client and the source table of this process's sync job
+//
+// The table is read by download / backfill / resync and updated by mark. Its names come
+// from the job (lib/sync_jobs.js); the primary key is always selected as `id`, so staged
+// records, sync logs and documents use `id` whatever the column is called.
+
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('./config');
+
+const job = getConfig().job;
+const SOURCE_SCHEMA = job.schema;
+const SOURCE_TABLE = job.table;
+const PRIMARY_KEY = job.primaryKey;
+const CURSOR_COLUMN = job.cursorColumn;
+const SYNC_FLAG_COLUMN = job.syncFlagColumn;
+const TIME_COLUMN = job.timeColumn; // null when the job has none
+const RECORD_COLUMNS = [PRIMARY_KEY === 'id' ? 'id' : `id:${PRIMARY_KEY}`]
+  .concat(job.columns.filter(column => column !== PRIMARY_KEY))
+  .join(', ');
+
+// Download cursor of a fetched row (the primary key comes back as id)
+function cursorOf(row) {
+  return CURSOR_COLUMN === PRIMARY_KEY ? row.id : row[CURSOR_COLUMN];
+}
+
+function createSupabaseClient(options = getConfig().supabase) {
+  return createClient(options.url, options.key, {
+    auth: { persistSession: false },
+    db: {
+      timeout: options.timeoutMs,
+      searchPath: SOURCE_SCHEMA
+    }
+  });
+}
+
+// Shared instance for the run
+const supabase = createSupabaseClient();
+
+module.exports = {
+  supabase,
+  SOURCE_SCHEMA,
+  SOURCE_TABLE,
+  PRIMARY_KEY,
+  CURSOR_COLUMN,
+  SYNC_FLAG_COLUMN,
+  TIME_COLUMN,
+  RECORD_COLUMNS,
+  cursorOf,
+  createSupabaseClient
+};
@@ -0,0 +1,188 @@
+// Sync jobs: which Supabase table feeds which OpenSearch index
+//
+// SYNC_JOBS (config file or env, JSON) declares any number of jobs:
+//
+//   { "pages": {
+//       "schema": "api",                      default api
+//       "table": "facebook_pages",
+//       "columns": ["page_name", "about", "category", "collected_at"],
+//       "primaryKey": "page_id",              default id (staged / indexed as id)
+//       "cursorColumn": "page_id",            download paging, unique + increasing (default primaryKey)
+//       "syncFlagColumn": "opensearch_sync",  default opensearch_sync
+//       "index": "facebook_pages",            index base → facebook_pages_v<N>, _read, _write
+//       "mapping": { "page_name": { "type": "text", "analyzer": "thai_analyzer" } },
+//       "embeddingFields": ["page_name", "about"],  last field is truncated / chunked, the others prefix it
+//       "verifyFields": ["page_name"],        compared by verify (default: columns except the embedded body)
+//       "timeColumn": "collected_at",         resync --from/--to, backfill --by (default none)
+//       "tombstoneTable": "facebook_pages_deleted",  change capture (default <table>_deleted)
+//       "updatedAtColumn": "modified_at",     change capture (default updated_at)
+//       "transforms": ["normalize_text", "phones"]   lib/transforms.js (default SYNC_TRANSFORMS)
+//   } }
+//
+// Each named job stages under jobs/<name>/ (runs, logs, DLQ, run state, lock), so jobs
+// never see each other's files. Without SYNC_JOBS there is one job, "default", built from
+// SUPABASE_TABLE / OPENSEARCH_INDEX_BASE with the original pageseeker layout and no prefix.
+
+const { checkTransforms } = require('./transforms');
+
+const DEFAULT_JOB = 'default';
+const JOB_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const INDEX_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/;
+const JOB_KEYS = [
+  'schema', 'table', 'columns', 'primaryKey', 'cursorColumn', 'syncFlagColumn', 'index',
+  'mapping', 'embeddingFields', 'verifyFields', 'timeColumn', 'tombstoneTable', 'updatedAtColumn', 'transforms'
+];
+
+// Document fields of the pageseeker table (embedding fields are added by opensearch_index.js)
+const PAGESEEKER_MAPPING = {
+  keyword: { type: 'keyword' },
+  ad_id: { type: 'keyword' },
+  ad_name: { type: 'text', analyzer: 'thai_analyzer' },
+  ad_caption: { type: 'text', analyzer: 'thai_analyzer' },
+  ad_risk_reason: { type: 'text', analyzer: 'thai_analyzer' },
+  collected_at: { type: 'date' },
+  created_at: { type: 'date' }
+};
+
+function defaultJob(config) {
+  return {
+    name: DEFAULT_JOB,
+    schema: 'api',
+    table: config.supabase.table,
+    columns: ['keyword', 'ad_id', 'ad_name', 'ad_caption', 'ad_risk_reason', 'collected_at'],
+    primaryKey: 'id',
+    cursorColumn: 'id',
+    syncFlagColumn: 'opensearch_sync',
+    index: config.opensearch.indexBase,
+    mapping: PAGESEEKER_MAPPING,
+    embeddingFields: ['ad_name', 'ad_caption'],
+    verifyFields: ['ad_id', 'ad_name', 'collected_at'],
+    timeColumn: 'collected_at',
+    tombstoneTable: config.changeCapture.tombstoneTable,
+    updatedAtColumn: config.changeCapture.updatedAtColumn,
+    transforms: config.sync.transforms,
+    stagingPrefix: ''
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Fill defaults and check one job definition; problems are pushed as "SYNC_JOBS.<name>: ..."
+function normalizeJob(name, raw, config, problems) {
+  const problem = message => problems.push(`SYNC_JOBS.${name}: ${message}`);
+  if (!JOB_NAME_PATTERN.test(name)) {
+    problem('job names are lowercase letters, digits, - and _');
+  }
+  if (!isPlainObject(raw)) {
+    problem('expected an object');
+    return null;
+  }
+  Object.keys(raw)
+    .filter(key => !JOB_KEYS.includes(key))
+    .forEach(key => problem(`unknown key ${key}`));
+
+  const columns = Array.isArray(raw.columns) ? raw.columns : [];
+  const primaryKey = raw.primaryKey || 'id';
+  const embeddingFields = raw.embeddingFields || [];
+  const job = {
+    name,
+    schema: raw.schema || 'api',
+    table: raw.table,
+    columns,
+    primaryKey,
+    cursorColumn: raw.cursorColumn || primaryKey,
+    syncFlagColumn: raw.syncFlagColumn || 'opensearch_sync',
+    index: raw.index,
+    mapping: raw.mapping || {},
+    embeddingFields,
+    verifyFields: raw.verifyFields || columns.filter(column => column !== embeddingFields[embeddingFields.length - 1]),
+    timeColumn: raw.timeColumn || null,
+    tombstoneTable: raw.tombstoneTable || `${raw.table}_deleted`,
+    updatedAtColumn: raw.updatedAtColumn || 'updated_at',
+    transforms: raw.transforms || config.sync.transforms,
+    stagingPrefix: `jobs/${name}/`
+  };
+
+  // Identifiers end up inside PostgREST filters — keep them to plain names
+  for (const key of ['schema', 'table', 'primaryKey', 'cursorColumn', 'syncFlagColumn', 'tombstoneTable', 'updatedAtColumn']) {
+    if (typeof job[key] !== 'string' || !IDENTIFIER_PATTERN.test(job[key])) {
+      problem(`${key} must be a column / table name, got ${JSON.stringify(job[key])}`);
+    }
+  }
+  if (columns.length === 0 || !columns.every(column => typeof column === 'string' && IDENTIFIER_PATTERN.test(column))) {
+    problem('columns must be a non-empty list of column names');
+  }
+  if (primaryKey !== 'id' && columns.includes('id')) {
+    problem(`column id clashes with primaryKey ${primaryKey} (staged as id)`);
+  }
+  if (job.cursorColumn !== primaryKey && !columns.includes(job.cursorColumn)) {
+    problem(`cursorColumn ${job.cursorColumn} must be the primary key or one of the columns`);
+  }
+  if (typeof job.index !== 'string' || !INDEX_PATTERN.test(job.index)) {
+    problem(`index must be a lowercase index name, got ${JSON.stringify(job.index)}`);
+  }
+  if (!isPlainObject(job.mapping)) {
+    problem('mapping must be an object of field mappings');
+  }
+  for (const key of ['embeddingFields', 'verifyFields']) {
+    if (!Array.isArray(job[key]) || !job[key].every(field => columns.includes(field))) {
+      problem(`${key} must only list columns of the job`);
+    }
+  }
+  if (job.timeColumn !== null && !columns.includes(job.timeColumn)) {
+    problem(`timeColumn ${job.timeColumn} must be one of the columns`);
+  }
+  if (!Array.isArray(job.transforms) || !job.transforms.every(item => typeof item === 'string')) {
+    problem('transforms must be a list of transform names');
+  } else {
+    checkTransforms(job.transforms).forEach(problem);
+  }
+
+  return job;
+}
+
+// → { jobs: { name: job }, job: selected job | null, problems }
+// The selected job is SYNC_JOB, the only job, or null when several are defined and none
+// was picked (only `run` can handle that, one child process per job)
+function resolveJobs(config) {
+  const problems = [];
+
+  if (config.jobs === null) {
+    const job = defaultJob(config);
+    if (config.jobName && config.jobName !== DEFAULT_JOB) {
+      problems.push(`SYNC_JOB=${config.jobName}: no SYNC_JOBS defined (only "${DEFAULT_JOB}")`);
+    }
+    checkTransforms(job.transforms).forEach(problem => problems.push(`SYNC_TRANSFORMS: ${problem}`));
+    return { jobs: { [DEFAULT_JOB]: job }, job, problems };
+  }
+
+  if (!isPlainObject(config.jobs) || Object.keys(config.jobs).length === 0) {
+    return { jobs: {}, job: null, problems: ['SYNC_JOBS must be an object of job definitions'] };
+  }
+
+  const jobs = {};
+  for (const [name, raw] of Object.entries(config.jobs)) {
+    jobs[name] = normalizeJob(name, raw, config, problems);
+  }
+  const byIndex = {};
+  Object.values(jobs).filter(Boolean).forEach(job => {
+    if (byIndex[job.index]) problems.push(`SYNC_JOBS: ${byIndex[job.index]} and ${job.name} both write index ${job.index}`);
+    byIndex[job.index] = job.name;
+  });
+
+  const names = Object.keys(jobs);
+  let job = null;
+  if (config.jobName) {
+    job = jobs[config.jobName] || null;
+    if (!job) problems.push(`SYNC_JOB=${config.jobName}: unknown job (defined: ${names.join(', ')})`);
+  } else if (names.length === 1) {
+    job = jobs[names[0]];
+  }
+
+  return { jobs, job, problems };
+}
+
+module.exports = { DEFAULT_JOB, resolveJobs };
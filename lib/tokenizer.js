@@ -0,0 +1,76 @@
+// Token counting / slicing with the cl100k_base encoding used by OpenAI embedding models.
+// Thai text tokenizes very differently from English, so budgets are in tokens, not chars.
+
+const { getEncoding } = require('js-tiktoken');
+
+const encoding = getEncoding('cl100k_base');
+
+// cl100k_base pre-tokenizer: tiktoken runs BPE on each of these pieces on its own, so
+// encoding them one by one gives exactly the tokens of encoding the whole text
+const PRE_TOKEN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+const MAX_PIECE_CHARS = 100;
+
+// BPE is quadratic in the length of one piece, so a long run of letters (e.g. "xxxx…" or
+// a pasted base64 blob) can take minutes. Pieces longer than MAX_PIECE_CHARS are cut
+// into slices; the tokens around each cut can differ from what the API counts, so every
+// cut counts as one token of margin.
+// → { tokens, cuts: [index in tokens where a cut falls] }
+function encode(text) {
+  const tokens = [];
+  const cuts = [];
+
+  for (const [piece] of text.matchAll(PRE_TOKEN)) {
+    if (piece.length <= MAX_PIECE_CHARS) {
+      tokens.push(...encoding.encode(piece));
+      continue;
+    }
+    const chars = Array.from(piece); // never cut a surrogate pair
+    for (let i = 0; i < chars.length; i += MAX_PIECE_CHARS) {
+      if (i > 0) cuts.push(tokens.length);
+      tokens.push(...encoding.encode(chars.slice(i, i + MAX_PIECE_CHARS).join('')));
+    }
+  }
+
+  return { tokens, cuts };
+}
+
+// A window boundary can split a multi-byte character; drop the replacement chars it leaves
+function cleanDecode(tokens) {
+  return encoding.decode(tokens).replace(/^�+|�+$/g, '');
+}
+
+// Exact for ordinary text, a few tokens high when long pieces had to be cut
+function countTokens(text) {
+  const { tokens, cuts } = encode(text);
+  return tokens.length + cuts.length;
+}
+
+// Longest prefix within maxTokens, including the margin of the cuts it contains
+function truncateToTokens(text, maxTokens) {
+  const { tokens, cuts } = encode(text);
+  if (tokens.length + cuts.length <= maxTokens) return text;
+
+  let kept = Math.max(0, maxTokens);
+  for (const cut of cuts) {
+    if (cut >= kept) break;
+    kept--;
+  }
+  return cleanDecode(tokens.slice(0, kept));
+}
+
+// Overlapping windows of at most chunkTokens tokens; each window starts
+// chunkTokens - overlapTokens after the previous one
+function splitIntoChunks(text, chunkTokens, overlapTokens) {
+  const { tokens } = encode(text);
+  if (tokens.length <= chunkTokens) return [text];
+
+  const step = Math.max(1, chunkTokens - overlapTokens);
+  const chunks = [];
+  for (let start = 0; start < tokens.length; start += step) {
+    chunks.push(cleanDecode(tokens.slice(start, start + chunkTokens)));
+    if (start + chunkTokens >= tokens.length) break;
+  }
+  return chunks;
+}
+
+module.exports = { countTokens, truncateToTokens, splitIntoChunks };
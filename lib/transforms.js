@@ -0,0 +1,226 @@
+// Record transforms: an ordered chain applied to every record before embedding and indexing
+//
+// SYNC_TRANSFORMS (or a sync job's "transforms") lists them by name, in order:
+//   SYNC_TRANSFORMS=normalize_text,phones,line_ids,urls,bank_accounts
+//
+// Built-ins read the job's text fields (columns mapped as text, plus the embedding fields):
+//   normalize_text  rewrites them: zero-width chars removed, Thai / full-width digits → 0-9,
+//                   เเ → แ, NFC, runs of spaces collapsed
+//   phones          phones: Thai mobile / landline numbers as 0XXXXXXXXX (+66 folded to 0)
+//   line_ids        line_ids: LINE IDs after "line:", "ไลน์", "@", or in line.me links, lowercased
+//   urls            urls + domains (host without www.), including bare bit.ly/xxx style links
+//   bank_accounts   bank_accounts: digits of xxx-x-xxxxx-x, or 10–12 digits after a bank word
+// Extracted fields are keyword arrays (empty when nothing was found); their mappings are
+// added to new indices — an existing index needs 07_reindex.js to get them.
+//
+// A path (./transforms/shop_names.js, relative to the working directory) loads a custom
+// transform: module.exports = { name, mapping, transform(record, context) } or a function.
+// A transform returns a new record and never sees tombstones. If it throws on a record,
+// that record keeps the fields from the step before and the error is counted, so one bad
+// extractor never blocks indexing.
+
+const fs = require('fs');
+const path = require('path');
+
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+const THAI_DIGITS = /[\u0E50-\u0E59]/g;
+const FULL_WIDTH = /[\uFF01-\uFF5E]/g;
+
+// Thai / English text cleanup shared by normalize_text and the extractors
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFC')
+    .replace(ZERO_WIDTH, '')
+    .replace(THAI_DIGITS, digit => String(digit.charCodeAt(0) - 0x0E50))
+    .replace(FULL_WIDTH, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/เเ/g, 'แ') // เ + เ typed for แ
+    .replace(/[^\S\n]+/g, ' ')
+    .trim();
+}
+
+// Normalised text of the record's text fields, one field per line
+function textOf(record, context) {
+  return context.textFields
+    .map(field => record[field])
+    .filter(value => typeof value === 'string' && value)
+    .map(normalizeText)
+    .join('\n');
+}
+
+function matchAll(text, patterns, pick) {
+  const found = new Set();
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      const value = pick(match);
+      if (value) found.add(value);
+    }
+  }
+  return Array.from(found);
+}
+
+const PHONE_PATTERNS = [
+  /(?<![\d+])(?:\+?66[\s.-]?|0)([689]\d)[\s.-]?(\d{3})[\s.-]?(\d{4})(?!\d)/g, // mobile 08x-xxx-xxxx
+  /(?<![\d+])(?:\+?66[\s.-]?|0)(2)[\s.-]?(\d{3})[\s.-]?(\d{4})(?!\d)/g, // Bangkok 02-xxx-xxxx
+  /(?<![\d+])(?:\+?66[\s.-]?|0)([3-7]\d)[\s.-]?(\d{3})[\s.-]?(\d{3})(?!\d)/g // provinces 0xx-xxx-xxx
+];
+
+const LINE_PATTERNS = [
+  /line\.me\/(?:R\/)?ti\/p\/~?(@?[\w.-]+)/gi,
+  /(?<![a-z])line\s*(?:id|ไอดี)?\s*(?:[:：=]\s*|(?=@))(@?[a-z0-9][\w.-]{2,19})/gi,
+  /(?:ไอดีไลน์|ไลน์)\s*(?:id|ไอดี)?\s*[:：=]?\s*(@?[a-z0-9][\w.-]{2,19})/gi
+];
+
+// ASCII only, so Thai text glued to a link is not swallowed
+const URL_PATTERNS = [
+  /\bhttps?:\/\/[^\s<>"'()\u0080-\uFFFF]+/gi,
+  /(?<![\w.@/-])www\.[^\s<>"'()\u0080-\uFFFF]+/gi,
+  /(?<![\w.@/-])(?:[a-z0-9-]+\.)+(?:com|net|org|info|biz|shop|online|site|store|xyz|top|club|co|th|me|ly|ee|io|app|link|cc)(?:\/[^\s<>"'()\u0080-\uFFFF]*)?(?![\w.-])/gi
+];
+
+const BANK_PATTERNS = [
+  /(?<![\d-])(\d{3})-(\d)-(\d{5})-(\d)(?![\d-])/g,
+  /(?:บัญชี|ธนาคาร|กสิกร|ไทยพาณิชย์|กรุงไทย|กรุงเทพ|กรุงศรี|ออมสิน|ทหารไทย|ธกส|พร้อมเพย์|(?<![a-z])(?:acc(?:ount)?|kbank|scb|ktb|bbl|bay|ttb|gsb|promptpay))[^\d\n]{0,30}((?:\d[\s-]?){9,11}\d)(?![\d-])/gi
+];
+
+function trimUrl(url) {
+  return url.replace(/[.,;:!?]+$/, '');
+}
+
+function domainOf(url) {
+  const host = url.replace(/^https?:\/\//i, '').split(/[/?#:]/)[0].toLowerCase();
+  return host.replace(/^www\./, '');
+}
+
+const BUILTIN_TRANSFORMS = {
+  normalize_text: {
+    mapping: {},
+    transform(record, context) {
+      const normalized = { ...record };
+      for (const field of context.textFields) {
+        if (typeof record[field] === 'string') normalized[field] = normalizeText(record[field]);
+      }
+      return normalized;
+    }
+  },
+  phones: {
+    mapping: { phones: { type: 'keyword' } },
+    transform: (record, context) => ({
+      ...record,
+      phones: matchAll(textOf(record, context), PHONE_PATTERNS, match => `0${match.slice(1).join('')}`)
+    })
+  },
+  line_ids: {
+    mapping: { line_ids: { type: 'keyword' } },
+    transform: (record, context) => ({
+      ...record,
+      line_ids: matchAll(textOf(record, context), LINE_PATTERNS, match => match[1].replace(/[.-]+$/, '').toLowerCase())
+    })
+  },
+  urls: {
+    mapping: { urls: { type: 'keyword', ignore_above: 2048 }, domains: { type: 'keyword' } },
+    transform: (record, context) => {
+      const urls = matchAll(textOf(record, context), URL_PATTERNS, match => trimUrl(match[0]));
+      // A bare domain inside an already matched link is not a link of its own
+      const distinct = urls.filter(url => !urls.some(other => other !== url && other.includes(url)));
+      return { ...record, urls: distinct, domains: Array.from(new Set(distinct.map(domainOf))) };
+    }
+  },
+  bank_accounts: {
+    mapping: { bank_accounts: { type: 'keyword' } },
+    transform: (record, context) => ({
+      ...record,
+      bank_accounts: matchAll(textOf(record, context), BANK_PATTERNS, match => {
+        const digits = match.slice(1).join('').replace(/\D/g, '');
+        return digits.length >= 10 && digits.length <= 12 ? digits : null;
+      })
+    })
+  }
+};
+
+function isPath(name) {
+  return name.startsWith('.') || path.isAbsolute(name);
+}
+
+// Problems with a list of transform names (unknown built-in, missing module)
+function checkTransforms(names) {
+  return names
+    .filter(name => (isPath(name) ? !fs.existsSync(path.resolve(name)) : !BUILTIN_TRANSFORMS[name]))
+    .map(name => (isPath(name)
+      ? `transform module ${name} not found`
+      : `unknown transform ${name} (built-in: ${Object.keys(BUILTIN_TRANSFORMS).join(', ')})`));
+}
+
+function loadTransform(name) {
+  if (!isPath(name)) return { name, ...BUILTIN_TRANSFORMS[name] };
+
+  const loaded = require(path.resolve(name));
+  const transform = typeof loaded === 'function' ? { transform: loaded } : loaded;
+  if (typeof transform.transform !== 'function') {
+    throw new Error(`Transform module ${name} must export a function or { transform }`);
+  }
+  return { name: transform.name || path.basename(name, '.js'), mapping: transform.mapping || {}, transform: transform.transform };
+}
+
+// Chain for a sync job → { names, mapping, apply(record), applyAll(records), getStats() }
+function createTransformChain(job) {
+  const steps = job.transforms.map(loadTransform);
+  const context = {
+    job: job.name,
+    textFields: Array.from(new Set(
+      job.columns
+        .filter(column => (job.mapping[column] || {}).type === 'text')
+        .concat(job.embeddingFields)
+    ))
+  };
+  const stats = { records: 0, errors: {} };
+
+  // One record through every step; returns { record, errors: [{ transform, reason }] }
+  function apply(record) {
+    let current = record;
+    const errors = [];
+    for (const step of steps) {
+      try {
+        const next = step.transform(current, context);
+        if (!next || typeof next !== 'object' || Array.isArray(next)) {
+          throw new Error('did not return a record');
+        }
+        if (String(next.id) !== String(record.id)) {
+          throw new Error('changed the record id');
+        }
+        current = next;
+      } catch (error) {
+        errors.push({ transform: step.name, reason: error.message });
+        stats.errors[step.name] = (stats.errors[step.name] || 0) + 1;
+      }
+    }
+    stats.records++;
+    return { record: current, errors };
+  }
+
+  // Transformed records in the same order; failures are logged, not thrown
+  function applyAll(records) {
+    if (steps.length === 0) return records;
+    return records.map(record => {
+      const { record: transformed, errors } = apply(record);
+      errors.forEach(({ transform, reason }) => {
+        console.error(`⚠️ Transform ${transform} failed for record ${record.id}: ${reason}`);
+      });
+      return transformed;
+    });
+  }
+
+  return {
+    names: steps.map(step => step.name),
+    mapping: Object.assign({}, ...steps.map(step => step.mapping)),
+    apply,
+    applyAll,
+    getStats: () => ({ records: stats.records, errors: { ...stats.errors } })
+  };
+}
+
+module.exports = {
+  BUILTIN_TRANSFORMS,
+  normalizeText,
+  checkTransforms,
+  createTransformChain
+};
@@ -0,0 +1,117 @@
+// Bulk splitting on 413 (02_sync.js): a request over the cluster's size limit is halved
+// until every half fits; a record too large on its own fails alone with request_too_large.
+// Runs against a small in-process fake of the OpenSearch endpoints syncRecords uses.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+const MAX_BODY_BYTES = 3500; // the fake answers 413 above this
+const INDEX = 'test_docs_v1';
+
+const bulkRequests = []; // ids sent in each accepted or rejected bulk request
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-split-test-'));
+let server;
+let syncRecords;
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function handle(req, res, body) {
+  const url = req.url.split('?')[0];
+  if (req.method === 'HEAD' && url.startsWith('/_alias/')) return reply(res, 200);
+  if (req.method === 'GET' && url.startsWith('/_alias/')) return reply(res, 200, { [INDEX]: { aliases: {} } });
+  if (req.method === 'GET' && url === `/${INDEX}/_mapping`) return reply(res, 200, { [INDEX]: { mappings: { properties: {} } } });
+  if (url === '/_bulk') {
+    const lines = body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const ids = lines.filter(line => line.index).map(line => line.index._id);
+    const tooLarge = Buffer.byteLength(body) > MAX_BODY_BYTES;
+    bulkRequests.push({ ids, status: tooLarge ? 413 : 200 });
+    if (tooLarge) {
+      return reply(res, 413, { error: { type: 'request_too_large', reason: 'Request Entity Too Large' }, status: 413 });
+    }
+    return reply(res, 200, { errors: false, items: ids.map(id => ({ index: { _index: INDEX, _id: id, status: 201 } })) });
+  }
+  return reply(res, 404, { error: `unexpected ${req.method} ${url}` });
+}
+
+function record(id, size) {
+  return { id, caption: 'x'.repeat(size) };
+}
+
+test.before(async () => {
+  // Keep the step's progress logs out of the test report
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handle(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  loadConfig({
+    env: {
+      SUPABASE_URL: 'http://127.0.0.1:1',
+      SUPABASE_ANON_KEY: 'test',
+      OPENSEARCH_NODE: `http://127.0.0.1:${server.address().port}`,
+      OPENSEARCH_AUTH: 'none',
+      OPENSEARCH_INDEX_BASE: 'test_docs',
+      STAGING_BACKEND: 'local',
+      STAGING_DIR: stagingDir,
+      EMBEDDING_PROVIDER: 'none'
+    }
+  });
+  ({ syncRecords } = require('../02_sync'));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  bulkRequests.length = 0;
+});
+
+test('a 413 halves the request until every part fits', async () => {
+  const records = Array.from({ length: 10 }, (_, i) => record(`r${i}`, 900));
+  const result = await syncRecords(records);
+
+  assert.deepEqual(result.syncedIds.sort(), records.map(r => r.id).sort());
+  assert.deepEqual(result.failed, []);
+  assert.equal(bulkRequests[0].ids.length, 10);
+  assert.equal(bulkRequests[0].status, 413);
+
+  const accepted = bulkRequests.filter(request => request.status === 200);
+  accepted.forEach(request => assert.ok(request.ids.length <= 3));
+  assert.deepEqual(accepted.flatMap(request => request.ids), records.map(r => r.id)); // order kept, each sent once
+});
+
+test('a record too large on its own fails alone, the rest are indexed', async () => {
+  const records = [record('a', 500), record('huge', 5000), record('b', 500), record('c', 500)];
+  const result = await syncRecords(records);
+
+  assert.deepEqual(result.syncedIds.sort(), ['a', 'b', 'c']);
+  assert.equal(result.failed.length, 1);
+  assert.equal(result.failed[0].id, 'huge');
+  assert.equal(result.failed[0].status, 413);
+  assert.equal(result.failed[0].type, 'request_too_large');
+  assert.equal(result.dlqEntries.length, 1);
+  assert.equal(result.dlqEntries[0].record, records[1]);
+});
+
+test('a request that fits is sent once', async () => {
+  const records = [record('x', 100), record('y', 100)];
+  const result = await syncRecords(records);
+
+  assert.deepEqual(result.syncedIds, ['x', 'y']);
+  assert.equal(bulkRequests.length, 1);
+});
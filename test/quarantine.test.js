@@ -0,0 +1,60 @@
+// Quarantine (lib/quarantine.js) on the local staging store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-test-'));
+loadConfig({
+  env: {
+    SUPABASE_URL: 'http://127.0.0.1:1',
+    SUPABASE_ANON_KEY: 'test',
+    OPENSEARCH_NODE: 'http://127.0.0.1:1',
+    STAGING_BACKEND: 'local',
+    STAGING_DIR: stagingDir
+  }
+});
+const quarantine = require('../lib/quarantine');
+
+test.before(() => test.mock.method(console, 'log', () => {}));
+test.after(() => fs.rmSync(stagingDir, { recursive: true, force: true }));
+
+const ENTRY = { line: 2, id: 7, reason: 'likes: not a number (integer) ("lots")', raw: '{"id":7,"likes":"lots"}' };
+
+test('nothing is written for a file without quarantined lines', async () => {
+  assert.equal(await quarantine.putFile('wf-empty', 'runs/wf-empty/batch_1.jsonl', []), null);
+  assert.deepEqual(await quarantine.listEntries('wf-empty'), []);
+});
+
+test('quarantined lines are stored per workflow and staged file', async () => {
+  const key = await quarantine.putFile('wf-1', 'runs/wf-1/batch_1.jsonl', [ENTRY]);
+  assert.equal(key, `${quarantine.QUARANTINE_PREFIX}wf-1/batch_1.json`);
+  assert.deepEqual(await quarantine.listEntries('wf-1'), [
+    { ...ENTRY, workflowId: 'wf-1', file: 'runs/wf-1/batch_1.jsonl', key }
+  ]);
+});
+
+test('syncing the same file again rewrites its quarantine', async () => {
+  const retry = { ...ENTRY, line: 5 };
+  await quarantine.putFile('wf-2', 'runs/wf-2/batch_1.jsonl', [ENTRY]);
+  await quarantine.putFile('wf-2', 'runs/wf-2/batch_1.jsonl', [retry]);
+  await quarantine.putFile('wf-2', 'runs/wf-2/batch_2.jsonl', [ENTRY]);
+
+  const entries = await quarantine.listEntries('wf-2');
+  assert.deepEqual(entries.map(entry => [entry.file, entry.line]).sort(), [
+    ['runs/wf-2/batch_1.jsonl', 5],
+    ['runs/wf-2/batch_2.jsonl', 2]
+  ]);
+});
+
+test('lines without a workflow go under manual, and listEntries() returns every workflow', async () => {
+  const key = await quarantine.putFile(null, 'local/batch_1.jsonl', [ENTRY]);
+  assert.equal(key, `${quarantine.QUARANTINE_PREFIX}manual/batch_1.json`);
+  assert.equal((await quarantine.listEntries('manual'))[0].workflowId, 'manual');
+
+  const workflows = new Set((await quarantine.listEntries()).map(entry => entry.workflowId));
+  assert.deepEqual([...workflows].sort(), ['manual', 'wf-1', 'wf-2']);
+});
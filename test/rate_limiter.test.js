@@ -0,0 +1,64 @@
+// Token-bucket limiter (lib/rate_limiter.js). Rates are chosen so every wait is a few
+// hundred milliseconds of real time.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rate_limiter');
+
+const SLACK_MS = 20; // timers can fire a little early / the clock is coarse
+
+async function elapsed(promise) {
+  const start = Date.now();
+  await promise;
+  return Date.now() - start;
+}
+
+test('requests within a full bucket are not delayed', async () => {
+  const limiter = createRateLimiter({ requestsPerMinute: 600, tokensPerMinute: 60000 });
+  const ms = await elapsed(Promise.all(Array.from({ length: 10 }, () => limiter.acquire(100))));
+  assert.ok(ms < 50, `${ms}ms`);
+});
+
+test('an empty request bucket waits for the refill', async () => {
+  // 600/min = one request per 100ms
+  const limiter = createRateLimiter({ requestsPerMinute: 600, tokensPerMinute: 1e9 });
+  // the 601st request needs one refilled slot, 100ms after the bucket was full
+  const ms = await elapsed(Promise.all(Array.from({ length: 601 }, () => limiter.acquire(1))));
+  assert.ok(ms >= 100 - SLACK_MS, `${ms}ms`);
+});
+
+test('an empty token bucket waits until enough tokens are back', async () => {
+  // 6000 tokens/min = 0.1 token per ms
+  const limiter = createRateLimiter({ requestsPerMinute: 1e6, tokensPerMinute: 6000 });
+  await limiter.acquire(6000);
+  const ms = await elapsed(limiter.acquire(20));
+  assert.ok(ms >= 200 - SLACK_MS, `${ms}ms`);
+});
+
+test('a request bigger than the bucket waits for a full bucket instead of forever', async () => {
+  // 60000 tokens/min = 1 token per ms: 200 tokens short of a full bucket
+  const limiter = createRateLimiter({ requestsPerMinute: 1e6, tokensPerMinute: 60000 });
+  await limiter.acquire(200);
+  const ms = await elapsed(limiter.acquire(1e6));
+  assert.ok(ms >= 200 - SLACK_MS, `${ms}ms`);
+  assert.ok(ms < 2000, `${ms}ms`);
+});
+
+test('requests are served in order', async () => {
+  const limiter = createRateLimiter({ requestsPerMinute: 1e6, tokensPerMinute: 6000 });
+  await limiter.acquire(6000);
+  const served = [];
+  await Promise.all([
+    limiter.acquire(30).then(() => served.push('large')),
+    limiter.acquire(1).then(() => served.push('small'))
+  ]);
+  assert.deepEqual(served, ['large', 'small']);
+});
+
+test('penalize makes the next request wait at least that long', async () => {
+  const limiter = createRateLimiter({ requestsPerMinute: 600, tokensPerMinute: 60000 });
+  await limiter.acquire(1);
+  limiter.penalize(150);
+  const ms = await elapsed(limiter.acquire(1));
+  assert.ok(ms >= 150 - SLACK_MS, `${ms}ms`);
+});
@@ -0,0 +1,110 @@
+// Staged record checks (lib/record_validation.js): lenient JSONL parsing, validation and
+// coercion against the index mapping
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonl, createRecordValidator, checkStagedFile } = require('../lib/record_validation');
+
+const validate = createRecordValidator({
+  id: { type: 'keyword' },
+  caption: { type: 'text' },
+  page_id: { type: 'keyword' },
+  likes: { type: 'integer' },
+  score: { type: 'float' },
+  verified: { type: 'boolean' },
+  created_at: { type: 'date' },
+  posted: { type: 'date', format: 'dd/MM/yyyy' },
+  tags: { type: 'keyword' }
+});
+
+test('parseJsonl keeps good lines and reports bad ones with 1-based line numbers', () => {
+  const { entries, invalid } = parseJsonl('{"id":1}\r\n\n{"id":2,\n[1,2]\n"text"\n  \n{"id":3}');
+  assert.deepEqual(entries.map(entry => [entry.line, entry.record.id]), [[1, 1], [7, 3]]);
+  assert.equal(entries[0].raw, '{"id":1}'); // CR stripped
+  assert.deepEqual(invalid.map(item => [item.line, item.reason.split(':')[0]]), [
+    [3, 'invalid JSON'],
+    [4, 'not a JSON object'],
+    [5, 'not a JSON object']
+  ]);
+});
+
+test('a record needs a non-empty string or number id', () => {
+  for (const id of [undefined, null, '', {}, ['1'], true]) {
+    assert.equal(validate({ id, caption: 'x' }).reason, 'missing or invalid id', JSON.stringify(id));
+  }
+  assert.equal(validate({ id: 0 }).reason, null);
+  assert.equal(validate({ id: 'abc' }).reason, null);
+});
+
+test('valid records pass unchanged', () => {
+  const record = {
+    id: 1, caption: 'ขายของ', page_id: 123, likes: 10, score: 1.5, verified: false,
+    created_at: '2026-01-01T10:00:00.000Z', tags: ['a', 'b'], unmapped: { any: 'thing' }, page_name: null
+  };
+  const result = validate(record);
+  assert.equal(result.reason, null);
+  assert.equal(result.record, record);
+  assert.deepEqual(result.coerced, []);
+});
+
+test('strings the mapping can read are coerced', () => {
+  const result = validate({ id: 1, likes: '42', score: ' 2.5 ', verified: 'true', created_at: '2026-01-01 10:00:00+07' });
+  assert.equal(result.reason, null);
+  assert.deepEqual(result.record, { id: 1, likes: 42, score: 2.5, verified: true, created_at: '2026-01-01T03:00:00.000Z' });
+  assert.deepEqual(result.coerced.sort(), ['created_at', 'likes', 'score', 'verified']);
+});
+
+test('dates: ISO 8601 and epoch millis pass, custom formats are left to OpenSearch', () => {
+  for (const created_at of ['2026-01-01', '2026-01-01T10:00', '2026-01-01T10:00:00+0700', 1767225600000]) {
+    assert.deepEqual(validate({ id: 1, created_at }).coerced, [], String(created_at));
+  }
+  assert.equal(validate({ id: 1, posted: '31/12/2026' }).reason, null);
+  assert.match(validate({ id: 1, created_at: 'เมื่อวาน' }).reason, /^created_at: not a date/);
+});
+
+test('values the mapping would reject are reported with the field', () => {
+  assert.equal(validate({ id: 1, likes: 'many' }).reason, 'likes: not a number (integer) ("many")');
+  assert.equal(validate({ id: 1, likes: 1.5 }).reason, 'likes: not an integer (integer) (1.5)');
+  assert.equal(validate({ id: 1, score: '' }).reason, 'score: not a number (float) ("")');
+  assert.equal(validate({ id: 1, verified: 'yes' }).reason, 'verified: not a boolean ("yes")');
+  assert.equal(validate({ id: 1, caption: { th: 'x' } }).reason, 'caption: object in a text field ({"th":"x"})');
+});
+
+test('arrays are checked element by element', () => {
+  const coerced = createRecordValidator({ likes: { type: 'long' } })({ id: 1, likes: ['1', 2, null] });
+  assert.deepEqual(coerced.record.likes, [1, 2, null]);
+  assert.deepEqual(coerced.coerced, ['likes']);
+  assert.match(validate({ id: 1, tags: ['ok', { bad: true }] }).reason, /^tags: object in a keyword field/);
+});
+
+test('long values are cut in the reason', () => {
+  const { reason } = validate({ id: 1, likes: 'x'.repeat(500) });
+  assert.ok(reason.length < 160, reason);
+});
+
+test('tombstones only need an id', () => {
+  assert.equal(validate({ id: 1, _deleted: true, likes: 'many' }).reason, null);
+  assert.equal(validate({ _deleted: true }).reason, 'missing or invalid id');
+});
+
+test('checkStagedFile splits a staged file into records to index and lines to quarantine', () => {
+  const content = [
+    '{"id":1,"likes":"5"}',
+    '{"id":2,"likes":"lots"}',
+    'not json',
+    '{"caption":"no id"}',
+    '{"id":3}'
+  ].join('\n');
+  const { records, quarantined, coercedIds } = checkStagedFile(content, validate);
+
+  assert.deepEqual(records, [{ id: 1, likes: 5 }, { id: 3 }]);
+  assert.deepEqual(coercedIds, [1]);
+  assert.deepEqual(quarantined.map(({ line, id, raw }) => ({ line, id, raw })), [
+    { line: 3, id: null, raw: 'not json' },
+    { line: 2, id: 2, raw: '{"id":2,"likes":"lots"}' },
+    { line: 4, id: null, raw: '{"caption":"no id"}' }
+  ]);
+  assert.match(quarantined[0].reason, /^invalid JSON/);
+  assert.equal(quarantined[1].reason, 'likes: not a number (integer) ("lots")');
+  assert.equal(quarantined[2].reason, 'missing or invalid id');
+});
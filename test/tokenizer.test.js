@@ -0,0 +1,65 @@
+// Token budgeting (lib/tokenizer.js): counts match tiktoken, budgets are never exceeded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEncoding } = require('js-tiktoken');
+const { countTokens, truncateToTokens, splitIntoChunks } = require('../lib/tokenizer');
+
+const encoding = getEncoding('cl100k_base');
+
+const MIXED = 'สวัสดีครับ ขายของออนไลน์ โทร 081-234-5678 https://bit.ly/abc  hello world\n\nline 2';
+const LONG_PIECE = 'x'.repeat(1000); // one pre-token, cut into slices
+
+test('countTokens is exact for ordinary Thai / English text', () => {
+  for (const text of ['', 'hello world', MIXED, "it's 12345 o'clock\r\n\tok"]) {
+    assert.equal(countTokens(text), encoding.encode(text).length, JSON.stringify(text));
+  }
+});
+
+test('countTokens never undercounts a text with long pieces', () => {
+  assert.ok(countTokens(LONG_PIECE) >= encoding.encode(LONG_PIECE).length);
+  assert.ok(countTokens(`ราคา ${LONG_PIECE} บาท`) >= encoding.encode(`ราคา ${LONG_PIECE} บาท`).length);
+});
+
+test('truncateToTokens returns the text as is when it fits', () => {
+  assert.equal(truncateToTokens(MIXED, 1000), MIXED);
+  assert.equal(truncateToTokens(MIXED, countTokens(MIXED)), MIXED);
+});
+
+test('truncateToTokens keeps a prefix within the budget', () => {
+  for (const [text, max] of [[MIXED, 10], [MIXED, 1], [LONG_PIECE, 50], [`${LONG_PIECE} ${MIXED}`, 200]]) {
+    const truncated = truncateToTokens(text, max);
+    assert.ok(text.startsWith(truncated), `prefix of the input (max ${max})`);
+    assert.ok(countTokens(truncated) <= max, `${countTokens(truncated)} ≤ ${max}`);
+    assert.ok(encoding.encode(truncated).length <= max);
+  }
+  assert.equal(truncateToTokens(MIXED, 0), '');
+});
+
+test('truncateToTokens only spends margin on cuts inside the kept prefix', () => {
+  const text = `${'word '.repeat(400)}${LONG_PIECE}`;
+  assert.equal(countTokens(truncateToTokens(text, 300)), 300);
+});
+
+test('splitIntoChunks returns short text as one chunk', () => {
+  assert.deepEqual(splitIntoChunks(MIXED, 1000, 100), [MIXED]);
+});
+
+test('splitIntoChunks windows stay within the chunk size and overlap', () => {
+  const chunks = splitIntoChunks(MIXED, 8, 2);
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(encoding.encode(chunk).length <= 8, chunk));
+  let previousEnd = 0;
+  chunks.forEach((chunk, i) => {
+    const start = MIXED.indexOf(chunk);
+    assert.ok(start >= 0, `chunk ${i} is a slice of the text`);
+    if (i > 0) assert.ok(start < previousEnd, `chunk ${i} overlaps chunk ${i - 1}`);
+    previousEnd = start + chunk.length;
+  });
+  assert.ok(chunks[chunks.length - 1].endsWith('line 2'));
+});
+
+test('splitIntoChunks never leaves replacement characters at a window edge', () => {
+  const thai = 'ภาษาไทยตัดคำยากมาก'.repeat(20);
+  splitIntoChunks(thai, 16, 4).forEach(chunk => assert.ok(!/^�|�$/.test(chunk), chunk));
+});
@@ -0,0 +1,137 @@
+// Record transforms (lib/transforms.js): the built-in extractors on Thai listing text and
+// the chain's error handling
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BUILTIN_TRANSFORMS, normalizeText, checkTransforms, createTransformChain } = require('../lib/transforms');
+
+const context = { textFields: ['caption', 'title'] };
+
+function extract(name, caption) {
+  return BUILTIN_TRANSFORMS[name].transform({ id: 1, caption }, context);
+}
+
+function job(transforms, overrides = {}) {
+  return {
+    name: 'test',
+    transforms,
+    columns: ['id', 'caption', 'title', 'price'],
+    mapping: { caption: { type: 'text' }, title: { type: 'text' }, price: { type: 'integer' } },
+    embeddingFields: ['caption'],
+    ...overrides
+  };
+}
+
+test('normalizeText cleans Thai and full-width text', () => {
+  assert.equal(normalizeText('เเม่ค้า​  ขาย­ ๑๒๓ บาท'), 'แม่ค้า ขาย 123 บาท');
+  assert.equal(normalizeText('  ＡＢＣ１２３ \n ok '), 'ABC123 \n ok');
+  assert.equal(normalizeText(42), '42');
+});
+
+test('phones: Thai numbers in any spelling become 0XXXXXXXXX', () => {
+  const { phones } = extract('phones', 'โทร ๐๘๑-๒๓๔-๕๖๗๘ หรือ +66 2 123 4567, 053-123-456 หรือ 0812345678 อีกที');
+  assert.deepEqual(phones, ['0812345678', '021234567', '053123456']);
+  assert.deepEqual(extract('phones', 'order 12081234567890 ราคา 1500').phones, []);
+});
+
+test('line_ids: after line:, ไลน์, @ and in line.me links, lowercased', () => {
+  const { line_ids } = extract('line_ids', 'line: ShopABC. ไลน์ @bestshop https://line.me/ti/p/~myid');
+  assert.deepEqual(line_ids.sort(), ['@bestshop', 'myid', 'shopabc']);
+  assert.deepEqual(extract('line_ids', 'online shopping').line_ids, []);
+});
+
+test('urls: links with and without a scheme, plus their domains', () => {
+  const record = extract('urls', 'สั่งที่ www.shop.com/x, ดู https://line.me/ti/p/~myid หรือ bit.ly/abc12สั่งเลย');
+  assert.deepEqual(record.urls, ['https://line.me/ti/p/~myid', 'www.shop.com/x', 'bit.ly/abc12']);
+  assert.deepEqual(record.domains, ['line.me', 'shop.com', 'bit.ly']);
+});
+
+test('urls: a bare domain inside a matched link is not a link of its own', () => {
+  const record = extract('urls', 'https://example.com/page?x=1');
+  assert.deepEqual(record.urls, ['https://example.com/page?x=1']);
+  assert.deepEqual(record.domains, ['example.com']);
+});
+
+test('bank_accounts: dashed numbers and digits after a bank word', () => {
+  assert.deepEqual(extract('bank_accounts', 'โอนกสิกร 123-4-56789-0').bank_accounts, ['1234567890']);
+  assert.deepEqual(extract('bank_accounts', 'บัญชีไทยพาณิชย์ เลขที่ 987 654 3210').bank_accounts, ['9876543210']);
+  assert.deepEqual(extract('bank_accounts', 'ราคา 1234567890 บาท').bank_accounts, []); // no bank word
+});
+
+test('extractors read every text field and give empty arrays when nothing is found', () => {
+  const record = BUILTIN_TRANSFORMS.phones.transform({ id: 1, caption: 'ไม่มีเบอร์', title: 'โทร 0891234567', price: 812345678 }, context);
+  assert.deepEqual(record.phones, ['0891234567']);
+  assert.deepEqual(extract('phones', null).phones, []);
+});
+
+test('checkTransforms names unknown built-ins and missing modules', () => {
+  assert.deepEqual(checkTransforms(['phones', 'urls']), []);
+  assert.deepEqual(checkTransforms(['phone', './transforms/missing.js']), [
+    'unknown transform phone (built-in: normalize_text, phones, line_ids, urls, bank_accounts)',
+    'transform module ./transforms/missing.js not found'
+  ]);
+});
+
+test('the chain applies steps in order on the job text fields', () => {
+  const chain = createTransformChain(job(['normalize_text', 'phones']));
+  const { record, errors } = chain.apply({ id: 7, caption: 'โทร ๐๘๙ ๑๒๓ ๔๕๖๗', title: ' เเท้ ', price: 100 });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(record, { id: 7, caption: 'โทร 089 123 4567', title: 'แท้', price: 100, phones: ['0891234567'] });
+  assert.deepEqual(chain.names, ['normalize_text', 'phones']);
+  assert.deepEqual(chain.mapping, { phones: { type: 'keyword' } });
+});
+
+test('the chain loads a custom transform module', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transform-test-'));
+  const file = path.join(dir, 'shop_names.js');
+  fs.writeFileSync(file, `module.exports = {
+    mapping: { shop: { type: 'keyword' } },
+    transform: (record, context) => ({ ...record, shop: context.job + ':' + record.caption.split(' ')[0] })
+  };`);
+  try {
+    const chain = createTransformChain(job([file]));
+    assert.deepEqual(chain.names, ['shop_names']);
+    assert.deepEqual(chain.mapping, { shop: { type: 'keyword' } });
+    assert.equal(chain.apply({ id: 1, caption: 'ร้านดี ขายของ' }).record.shop, 'test:ร้านดี');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failing step keeps the record from the step before and is counted', t => {
+  t.mock.method(console, 'error', () => {});
+  const chain = createTransformChain(job(['normalize_text', 'phones']));
+  const steps = [
+    () => { throw new Error('boom'); },
+    record => ({ ...record, id: 'other' }),
+    () => null
+  ];
+  const reasons = [];
+  for (const broken of steps) {
+    const original = BUILTIN_TRANSFORMS.phones.transform;
+    BUILTIN_TRANSFORMS.phones.transform = broken;
+    try {
+      const brokenChain = createTransformChain(job(['normalize_text', 'phones']));
+      const { record, errors } = brokenChain.apply({ id: 1, caption: ' เเท้ ' });
+      assert.deepEqual(record, { id: 1, caption: 'แท้' });
+      reasons.push(...errors.map(error => `${error.transform}: ${error.reason}`));
+      assert.deepEqual(brokenChain.getStats(), { records: 1, errors: { phones: 1 } });
+    } finally {
+      BUILTIN_TRANSFORMS.phones.transform = original;
+    }
+  }
+  assert.deepEqual(reasons, ['phones: boom', 'phones: changed the record id', 'phones: did not return a record']);
+
+  // applyAll logs instead of throwing and keeps the order
+  const records = chain.applyAll([{ id: 1, caption: '0812345678' }, { id: 2, caption: 'none' }]);
+  assert.deepEqual(records.map(record => record.phones), [['0812345678'], []]);
+});
+
+test('an empty chain returns the records untouched', () => {
+  const records = [{ id: 1, caption: ' เเ ' }];
+  assert.equal(createTransformChain(job([])).applyAll(records), records);
+});